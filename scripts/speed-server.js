@@ -0,0 +1,65 @@
+/**
+ * Local endpoint for the throughput test, so it can run without the internet
+ * (e.g. to check a LAN or Wi-Fi link on its own).
+ * Usage: npm run speed-server [-- --port 8788]
+ * GET /__down?bytes=N streams N bytes; POST /__up reads and discards the body.
+ * Point Settings → Throughput test at http://<this machine>:8788/__down and /__up.
+ */
+
+import http from 'node:http';
+
+const args = process.argv.slice(2);
+const arg = (name, fallback) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 && args[i + 1] ? Number(args[i + 1]) : fallback;
+};
+const port = arg('port', 8788);
+const MAX_BYTES = 1e9;
+const CHUNK = Buffer.alloc(64 * 1024);
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': '*',
+  'Cache-Control': 'no-store',
+};
+
+function download(res, bytes) {
+  res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/octet-stream', 'Content-Length': bytes });
+  let left = bytes;
+  const write = () => {
+    while (left > 0) {
+      const chunk = left >= CHUNK.length ? CHUNK : CHUNK.subarray(0, left);
+      left -= chunk.length;
+      if (!res.write(chunk)) {
+        res.once('drain', write);
+        return;
+      }
+    }
+    res.end();
+  };
+  write();
+}
+
+http
+  .createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+    } else if (req.method === 'GET' && url.pathname === '/__down') {
+      const bytes = Math.min(MAX_BYTES, Math.max(0, Math.floor(Number(url.searchParams.get('bytes')) || 0)));
+      download(res, bytes);
+    } else if (req.method === 'POST' && url.pathname === '/__up') {
+      let received = 0;
+      req.on('data', (chunk) => (received += chunk.length));
+      req.on('end', () => {
+        res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ received }));
+      });
+    } else {
+      res.writeHead(404, CORS_HEADERS);
+      res.end();
+    }
+  })
+  .listen(port, () => console.log(`Speed test server listening on http://localhost:${port}/ (/__down, /__up)`));
@@ -0,0 +1,55 @@
+/**
+ * Local stand-in for a webhook receiver: logs every POST body to the console.
+ * Usage: npm run webhook-sink [-- --port 8787] [-- --fail 3]
+ * `--fail N` answers the first N requests with HTTP 503 to exercise retries.
+ * Point Settings → Webhook at http://localhost:8787/.
+ */
+
+import http from 'node:http';
+
+const args = process.argv.slice(2);
+const arg = (name, fallback) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 && args[i + 1] ? Number(args[i + 1]) : fallback;
+};
+const port = arg('port', 8787);
+let failuresLeft = arg('fail', 0);
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': '*',
+};
+
+http
+  .createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const stamp = new Date().toISOString();
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        console.log(`${stamp} ${req.method} ${req.url} → 503 (simulated failure, ${failuresLeft} left)`);
+        res.writeHead(503, CORS_HEADERS);
+        res.end();
+        return;
+      }
+      let pretty = body;
+      try {
+        pretty = JSON.stringify(JSON.parse(body), null, 2);
+      } catch (_) {
+        // not JSON, log as-is
+      }
+      console.log(`${stamp} ${req.method} ${req.url}`);
+      Object.entries(req.headers).forEach(([k, v]) => console.log(`  ${k}: ${v}`));
+      console.log(pretty);
+      res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+      res.end('{"ok":true}');
+    });
+  })
+  .listen(port, () => console.log(`Webhook sink listening on http://localhost:${port}/`));
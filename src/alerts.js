@@ -0,0 +1,238 @@
+/**
+ * Opt-in alerts on status transitions: desktop notifications (Notification API)
+ * and a short audio cue. Rules per transition, a minimum outage length before
+ * alerting and quiet hours. Settings persisted in localStorage.
+ */
+
+import { STATUS } from './monitor.js';
+
+const ALERTS_KEY = 'conntivity-alerts';
+const NOTIFICATION_TAG = 'conntivity-status';
+
+/** Transitions an alert can be raised for. */
+export const ALERT_RULE = {
+  OUTAGE: 'outage', // → disconnected
+  INTERCEPTED: 'intercepted', // → captive portal / intercepted
+  DEGRADED: 'degraded', // connected → degraded
+  RECOVERY: 'recovery', // back to connected, with how long it was down
+};
+
+export const DEFAULT_ALERT_SETTINGS = {
+  notifications: false,
+  sound: false,
+  rules: {
+    [ALERT_RULE.OUTAGE]: true,
+    [ALERT_RULE.INTERCEPTED]: true,
+    [ALERT_RULE.DEGRADED]: false,
+    [ALERT_RULE.RECOVERY]: true,
+  },
+  minOutageSec: 0, // outage / intercepted must last this long before alerting
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+};
+
+const DOWN_STATUSES = [STATUS.DISCONNECTED, STATUS.INTERCEPTED];
+
+let settings = loadSettings();
+let badSince = null; // when we last left connected
+let downSince = null; // when the current outage / interception started
+let downAlerted = false; // the current outage / interception was alerted
+let alerted = false; // any alert went out since we left connected (recovery follows it)
+let audioCtx = null;
+
+function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ALERTS_KEY) || 'null');
+    return sanitizeSettings(saved || {});
+  } catch (_) {
+    return sanitizeSettings({});
+  }
+}
+
+function validTime(value, fallback) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? value : fallback;
+}
+
+function sanitizeSettings(s) {
+  const d = DEFAULT_ALERT_SETTINGS;
+  const rules = { ...d.rules };
+  Object.values(ALERT_RULE).forEach((rule) => {
+    if (s.rules && typeof s.rules[rule] === 'boolean') rules[rule] = s.rules[rule];
+  });
+  const quiet = s.quietHours || {};
+  const minOutageSec = Number(s.minOutageSec);
+  return {
+    notifications: Boolean(s.notifications),
+    sound: Boolean(s.sound),
+    rules,
+    minOutageSec: Number.isFinite(minOutageSec) && minOutageSec > 0 ? Math.round(minOutageSec) : 0,
+    quietHours: {
+      enabled: Boolean(quiet.enabled),
+      start: validTime(quiet.start, d.quietHours.start),
+      end: validTime(quiet.end, d.quietHours.end),
+    },
+  };
+}
+
+export function getAlertSettings() {
+  return { ...settings, rules: { ...settings.rules }, quietHours: { ...settings.quietHours } };
+}
+
+/**
+ * Update and persist alert settings (partial objects are merged, `rules` and `quietHours` too).
+ */
+export function setAlertSettings(partial) {
+  settings = sanitizeSettings({
+    ...settings,
+    ...partial,
+    rules: { ...settings.rules, ...(partial.rules || {}) },
+    quietHours: { ...settings.quietHours, ...(partial.quietHours || {}) },
+  });
+  localStorage.setItem(ALERTS_KEY, JSON.stringify(settings));
+  return getAlertSettings();
+}
+
+export function notificationsSupported() {
+  return typeof Notification !== 'undefined';
+}
+
+/**
+ * Ask for notification permission. Must be called from a user gesture.
+ * @returns {Promise<string>} 'granted', 'denied', 'default' or 'unsupported'
+ */
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  try {
+    return await Notification.requestPermission();
+  } catch (_) {
+    return Notification.permission;
+  }
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/** True when `date` falls inside quiet hours (the range may wrap past midnight). */
+export function isQuietTime(quietHours, date = new Date()) {
+  if (!quietHours.enabled) return false;
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = minutesOf(quietHours.start);
+  const end = minutesOf(quietHours.end);
+  if (start === end) return false;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+function formatDuration(ms) {
+  const sec = Math.round(ms / 1000);
+  if (sec < 60) return `${sec}s`;
+  const min = Math.floor(sec / 60);
+  if (min < 60) return `${min}m ${sec % 60}s`;
+  return `${Math.floor(min / 60)}h ${min % 60}m`;
+}
+
+/** Two short tones: falling for bad news, rising for recovery. */
+function playCue(good) {
+  try {
+    audioCtx = audioCtx || new (window.AudioContext || window.webkitAudioContext)();
+    const freqs = good ? [660, 880] : [660, 440];
+    freqs.forEach((freq, i) => {
+      const start = audioCtx.currentTime + i * 0.18;
+      const osc = audioCtx.createOscillator();
+      const gain = audioCtx.createGain();
+      osc.frequency.value = freq;
+      gain.gain.setValueAtTime(0.15, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.16);
+      osc.connect(gain).connect(audioCtx.destination);
+      osc.start(start);
+      osc.stop(start + 0.16);
+    });
+  } catch (_) {
+    // no audio available
+  }
+}
+
+function showNotification(title, body) {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return;
+  try {
+    const n = new Notification(title, { body, tag: NOTIFICATION_TAG, renotify: true });
+    n.onclick = () => {
+      window.focus();
+      n.close();
+    };
+  } catch (_) {
+    // some browsers only allow notifications from a service worker
+  }
+}
+
+function raise(rule, title, body, good = false) {
+  if (!settings.rules[rule] || isQuietTime(settings.quietHours)) return false;
+  if (settings.notifications) showNotification(title, body);
+  if (settings.sound) playCue(good);
+  return true;
+}
+
+/** Send a sample alert so the user can check permission and volume. */
+export function testAlert() {
+  if (settings.notifications) showNotification('Conntivity alerts are on', 'This is how a status alert will look.');
+  if (settings.sound) playCue(false);
+}
+
+function raiseDown(status, detail, failedEndpoints) {
+  const elapsed = Date.now() - downSince;
+  if (downAlerted || elapsed < settings.minOutageSec * 1000) return;
+  const endpoints = failedEndpoints && failedEndpoints.length ? ` Failed: ${failedEndpoints.join(', ')}.` : '';
+  downAlerted =
+    status === STATUS.INTERCEPTED
+      ? raise(ALERT_RULE.INTERCEPTED, 'Connection intercepted', (detail || 'Captive portal or proxy answering.') + endpoints)
+      : raise(ALERT_RULE.OUTAGE, 'Connection lost', (detail || 'Probes are failing.') + endpoints);
+  if (downAlerted) alerted = true;
+}
+
+/**
+ * Feed a monitor `statusChange` event.
+ */
+export function handleStatusChange({ status, previous, changed, detail, failedEndpoints }) {
+  if (status === STATUS.UNKNOWN) return;
+  const now = Date.now();
+  if (status === STATUS.CONNECTED) {
+    if (changed && badSince != null && alerted) {
+      raise(ALERT_RULE.RECOVERY, 'Connection restored', `Back after ${formatDuration(now - badSince)}.`, true);
+    }
+    badSince = null;
+    downSince = null;
+    downAlerted = false;
+    alerted = false;
+    return;
+  }
+  if (badSince == null) badSince = now;
+  if (DOWN_STATUSES.includes(status)) {
+    if (downSince == null || (changed && !DOWN_STATUSES.includes(previous))) downSince = now;
+    if (changed) downAlerted = false; // a new outage, or outage ↔ intercepted, is news
+    raiseDown(status, detail, failedEndpoints);
+    return;
+  }
+  if (changed && status === STATUS.DEGRADED && previous === STATUS.CONNECTED) {
+    if (raise(ALERT_RULE.DEGRADED, 'Connection degraded', detail || 'Latency or loss is above threshold.')) alerted = true;
+  }
+}
+
+/**
+ * Feed a monitor `outageDetected` event (every failed probe while disconnected),
+ * so a minimum outage length is checked on each cycle.
+ */
+export function handleOutageDetected({ failedEndpoints }) {
+  if (downSince == null || downAlerted) return;
+  raiseDown(STATUS.DISCONNECTED, null, failedEndpoints);
+}
+
+/** Only the leader tab alerts, so several open tabs do not each notify. */
+export function bindAlerts(monitor) {
+  monitor.on('statusChange', (e) => {
+    if (monitor.isLeader()) handleStatusChange(e);
+  });
+  monitor.on('outageDetected', (e) => {
+    if (monitor.isLeader()) handleOutageDetected(e);
+  });
+}
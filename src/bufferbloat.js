@@ -0,0 +1,154 @@
+/**
+ * Bufferbloat test: measures idle RTT to the first probe target, then keeps
+ * measuring while the throughput test saturates the download and then the
+ * upload. The worst latency increase under load sets an A–F grade. The last
+ * result is kept so diagnostics can include its suggestions.
+ */
+
+import { pingOne } from './monitor-engine.js';
+import { getTargets } from './targets.js';
+import { THROUGHPUT_PHASE, runLoad, stopThroughputTest } from './throughput.js';
+
+const BUFFERBLOAT_KEY = 'conntivity-bufferbloat';
+const IDLE_PINGS = 10;
+const PING_GAP_MS = 200;
+const RESULT_MAX_AGE_MS = 24 * 60 * 60 * 1000; // older results are left out of diagnostics
+
+/** Upper bound (exclusive) of the latency increase, in ms, for each grade. */
+const GRADES = [
+  { grade: 'A', maxIncreaseMs: 30 },
+  { grade: 'B', maxIncreaseMs: 60 },
+  { grade: 'C', maxIncreaseMs: 200 },
+  { grade: 'D', maxIncreaseMs: 400 },
+  { grade: 'F', maxIncreaseMs: Infinity },
+];
+
+let lastResult = loadResult();
+let stopped = false;
+
+function loadResult() {
+  try {
+    return JSON.parse(localStorage.getItem(BUFFERBLOAT_KEY) || 'null');
+  } catch (_) {
+    return null;
+  }
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Up to `attempts` pings, stopping early once `until()` is true; resolves to the RTTs that answered. */
+async function pingWhile(target, until, attempts) {
+  const rtts = [];
+  for (let i = 0; i < attempts && !stopped && !until(); i++) {
+    const result = await pingOne(target);
+    if (result.ok) rtts.push(result.rtt);
+    await sleep(PING_GAP_MS);
+  }
+  return rtts;
+}
+
+/** Ping during one load phase, skipping the throughput warm-up. */
+async function loadedRtts(target, phase, onProgress) {
+  let done = false;
+  let warm = false;
+  let failure = null;
+  const load = runLoad(phase, (sample) => {
+    warm = !sample.warmup;
+    onProgress({ phase, mbps: sample.mbps });
+  })
+    .catch((e) => {
+      failure = e; // rethrown once the pings stop
+      return null;
+    })
+    .finally(() => {
+      done = true;
+    });
+  const rtts = [];
+  while (!done && !stopped) {
+    if (!warm) {
+      await sleep(PING_GAP_MS);
+      continue;
+    }
+    rtts.push(...(await pingWhile(target, () => done, 1)));
+  }
+  const mbps = await load;
+  if (failure) throw failure;
+  return { rtts, mbps };
+}
+
+function gradeFor(increaseMs) {
+  return GRADES.find((g) => increaseMs < g.maxIncreaseMs).grade;
+}
+
+/** Suggestions for a bufferbloat result; empty when latency holds up under load. */
+export function bufferbloatSuggestions(result) {
+  if (!result || result.grade === 'A' || result.grade === 'B') return [];
+  const { download, upload } = result;
+  const tips = [
+    `Bufferbloat grade ${result.grade}: latency rises ${download.increaseMs} ms while downloading and ${upload.increaseMs} ms while uploading — calls and games will stutter when the line is busy.`,
+    'Enable SQM / Smart Queue Management (fq_codel or CAKE) or "QoS" on your router, with its limits set to about 90% of your measured speeds.',
+  ];
+  if (upload.increaseMs > download.increaseMs * 2) {
+    tips.push(
+      'Latency suffers most during uploads — pause cloud backups, photo sync and large uploads during calls, or cap their upload rate.'
+    );
+  } else if (download.increaseMs > upload.increaseMs * 2) {
+    tips.push('Latency suffers most during downloads — large downloads or streaming on other devices will affect calls.');
+  }
+  tips.push('If the router has no SQM option, ask your ISP about a modem or plan with active queue management (e.g. DOCSIS-PIE).');
+  return tips;
+}
+
+/** The last result if it is recent enough to describe the current connection. */
+export function getLastBufferbloat() {
+  if (!lastResult || Date.now() - lastResult.time > RESULT_MAX_AGE_MS) return null;
+  return { ...lastResult };
+}
+
+export function stopBufferbloatTest() {
+  stopped = true;
+  stopThroughputTest();
+}
+
+/**
+ * Run the test. `onProgress` gets `{ phase: 'idle'|'download'|'upload', mbps? }`.
+ * @returns {Promise<{ time: number, idleMs: number, download: { loadedMs: number, increaseMs: number, mbps: number|null },
+ *   upload: { loadedMs: number, increaseMs: number, mbps: number|null }, grade: string, suggestions: string[] }|null>}
+ *   null when stopped
+ */
+export async function runBufferbloatTest(onProgress = () => {}) {
+  stopped = false;
+  const target = getTargets()[0];
+  if (!target) throw new Error('No probe target configured.');
+  onProgress({ phase: 'idle' });
+  const idleMs = median(await pingWhile(target, () => false, IDLE_PINGS));
+  if (stopped) return null;
+  if (idleMs == null) throw new Error(`${target.name} did not answer.`);
+
+  const under = {};
+  for (const phase of [THROUGHPUT_PHASE.DOWNLOAD, THROUGHPUT_PHASE.UPLOAD]) {
+    const { rtts, mbps } = await loadedRtts(target, phase, onProgress);
+    if (stopped) return null;
+    const loadedMs = median(rtts);
+    if (loadedMs == null) throw new Error(`${target.name} did not answer under ${phase} load.`);
+    under[phase] = { loadedMs, increaseMs: Math.max(0, loadedMs - idleMs), mbps };
+  }
+
+  const worst = Math.max(under.download.increaseMs, under.upload.increaseMs);
+  const result = { time: Date.now(), target: target.name, idleMs, ...under, grade: gradeFor(worst) };
+  result.suggestions = bufferbloatSuggestions(result);
+  lastResult = result;
+  try {
+    localStorage.setItem(BUFFERBLOAT_KEY, JSON.stringify(result));
+  } catch (_) {
+    // storage full or disabled: keep it for this session only
+  }
+  return result;
+}
@@ -1,16 +1,116 @@
 /**
  * Latency-over-time chart using Lightweight Charts.
- * X-axis shows local time. Values ≤50ms = cyan, >50ms = red.
+ * X-axis shows local time. The line is coloured by latency band (good / fair /
+ * poor / bad, see latency-bands.js) with a dashed price line at each band
+ * boundary; the last one is the degraded threshold. Long ranges are
+ * downsampled into time buckets drawn as an average line with a min/max bar per
+ * bucket. Zooming or panning sticks through live updates until `resetZoom`.
+ * Failed samples are gaps with a red outage band; status transitions get a
+ * marker whose reason shows in a tooltip on hover, as do network events
+ * (online/offline, connection changes; public IP, Cloudflare edge and VPN
+ * changes as purple squares). In parallel probe mode each endpoint
+ * gets its own thin line, toggled from the legend. A stacked-area chart below
+ * splits each probe into its request phases (DNS … download), bucketed like the
+ * latency chart. A smaller chart plots throughput test samples (Mbps against
+ * seconds into each phase).
  */
 
-import { createChart } from 'lightweight-charts';
+import { createChart, LineStyle } from 'lightweight-charts';
+import { STATUS, REASON } from './monitor.js';
+import { TIMING_PHASES, TIMING_PHASE_LABELS } from './resource-timing.js';
+import { getLatencyBands, bandFor, onLatencyBandsChange } from './latency-bands.js';
+import { ANNOTATION_KIND } from './network-identity.js';
 
 let chart = null;
-let seriesLow = null;
-let seriesHigh = null;
+let seriesLatency = null;
+let bands = getLatencyBands();
+let bandLines = []; // price lines at the band boundaries
+let seriesOutage = null;
+let seriesRange = null; // min/max per bucket when downsampled
+let userZoomed = false;
+let tooltipEl = null;
+let notesByTime = new Map(); // chart second -> tooltip lines
+let legendEl = null;
+const endpointSeries = new Map(); // endpoint name -> line series
+let timingChart = null;
+const timingSeries = []; // one cumulative area per phase, top of the stack first
+let throughputChart = null;
+let throughputDown = null;
+let throughputUp = null;
+let bucketCache = null; // buckets of the last history drawn, kept up to date incrementally (see bucketsFor)
 
-const CHART_MAX_POINTS = 600;
-const LATENCY_RED_THRESHOLD_MS = 50;
+const CHART_MAX_POINTS = 600; // more samples than this are bucketed
+const BUCKET_STEPS_S = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600, 7200, 14400];
+const OUTAGE_BAND_COLOR = 'rgba(248, 113, 113, 0.28)';
+const PARTIAL_LOSS_BAND_COLOR = 'rgba(248, 113, 113, 0.12)'; // bucket with some failed probes
+const RANGE_BAR_COLOR = 'rgba(139, 143, 153, 0.45)';
+const DRAG_THRESHOLD_PX = 4; // pointer travel that makes a press a pan rather than a click
+
+/** Chart range presets; `custom` takes explicit from/to times. */
+export const CHART_RANGES = [
+  { key: '5m', label: '5 min', ms: 5 * 60 * 1000 },
+  { key: '1h', label: '1 h', ms: 60 * 60 * 1000 },
+  { key: '24h', label: '24 h', ms: 24 * 60 * 60 * 1000 },
+  { key: '7d', label: '7 d', ms: 7 * 24 * 60 * 60 * 1000 },
+  { key: 'custom', label: 'Custom', ms: null },
+];
+/** Stack colours, bottom (DNS) to top (download); fills are opaque so each band shows one phase. */
+const TIMING_PHASE_COLORS = {
+  dns: '#a78bfa',
+  tcp: '#60a5fa',
+  tls: '#22d3ee',
+  request: '#94a3b8',
+  ttfb: '#fbbf24',
+  download: '#34d399',
+};
+const ENDPOINT_COLORS = ['#a78bfa', '#fbbf24', '#34d399', '#60a5fa', '#f472b6', '#fb923c'];
+const OVERALL_SERIES = 'Overall';
+const HIDDEN_SERIES_KEY = 'conntivity-hidden-series';
+
+const hiddenSeries = new Set(loadHiddenSeries());
+
+function loadHiddenSeries() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HIDDEN_SERIES_KEY) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+const STATUS_LABELS = {
+  [STATUS.CONNECTED]: 'Connected',
+  [STATUS.DEGRADED]: 'Degraded',
+  [STATUS.DISCONNECTED]: 'Disconnected',
+  [STATUS.INTERCEPTED]: 'Intercepted',
+};
+
+const REASON_LABELS = {
+  [REASON.TIMEOUT]: 'timeout',
+  [REASON.NETWORK]: 'CORS/network error',
+  [REASON.HTTP_STATUS]: 'bad HTTP status',
+  [REASON.ASSERTION]: 'content check failed',
+  [REASON.INTERCEPTED]: 'captive portal / intercepted',
+  [REASON.SLOW]: 'slow',
+  [REASON.LOSS]: 'packet loss',
+  [REASON.RECOVERED]: 'recovered',
+};
+
+const MARKER_STYLE = {
+  [STATUS.CONNECTED]: { color: '#4ade80', shape: 'arrowUp', text: 'Up' },
+  [STATUS.DEGRADED]: { color: '#fbbf24', shape: 'circle', text: 'Degraded' },
+  [STATUS.DISCONNECTED]: { color: '#f87171', shape: 'arrowDown', text: 'Down' },
+  [STATUS.INTERCEPTED]: { color: '#c084fc', shape: 'square', text: 'Portal' },
+};
+
+const ANNOTATION_STYLE = {
+  [ANNOTATION_KIND.OFFLINE]: { color: '#60a5fa', shape: 'circle', text: 'Offline' },
+  [ANNOTATION_KIND.ONLINE]: { color: '#60a5fa', shape: 'circle', text: 'Online' },
+  [ANNOTATION_KIND.NETWORK]: { color: '#60a5fa', shape: 'circle', text: 'Network' },
+  [ANNOTATION_KIND.IP]: { color: '#c084fc', shape: 'square', text: 'IP' },
+  [ANNOTATION_KIND.COLO]: { color: '#c084fc', shape: 'square', text: 'Edge' },
+  [ANNOTATION_KIND.VPN]: { color: '#c084fc', shape: 'square', text: 'VPN' },
+};
 
 /** Format Unix timestamp (seconds) as local time for the chart axis */
 function formatLocalTime(utcSeconds, tickMarkType) {
@@ -61,49 +161,522 @@ export function initChart(container) {
     height: container.clientHeight,
   });
 
-  seriesLow = chart.addLineSeries({
-    color: '#22d3ee',
+  // Each point carries its band colour, which colours the segment leading to it.
+  seriesLatency = chart.addLineSeries({
+    color: bands[0].color,
     lineWidth: 2,
     crosshairMarkerVisible: true,
     lastValueVisible: true,
     priceLineVisible: true,
   });
+  drawBandLines();
 
-  seriesHigh = chart.addLineSeries({
-    color: '#f87171',
-    lineWidth: 2,
-    crosshairMarkerVisible: true,
-    lastValueVisible: true,
-    priceLineVisible: true,
+  // Full-height band on its own hidden scale: value 1 for every sample, coloured only where the probe failed.
+  // Transition markers live on this series because it has a value at every time.
+  seriesOutage = chart.addHistogramSeries({
+    priceScaleId: 'outage',
+    color: 'transparent',
+    priceLineVisible: false,
+    lastValueVisible: false,
+    base: 0,
+  });
+  chart.priceScale('outage').applyOptions({ scaleMargins: { top: 0.06, bottom: 0 }, visible: false });
+
+  seriesRange = chart.addBarSeries({
+    upColor: RANGE_BAR_COLOR,
+    downColor: RANGE_BAR_COLOR,
+    openVisible: false,
+    thinBars: false,
+    priceLineVisible: false,
+    lastValueVisible: false,
+  });
+
+  // Any zoom or pan by the user sticks until resetZoom(). A click or tap (e.g. to read a tooltip) is neither.
+  container.addEventListener('wheel', () => (userZoomed = true), { passive: true });
+  let pressedAt = null;
+  container.addEventListener('pointerdown', (e) => (pressedAt = { x: e.clientX, y: e.clientY }));
+  container.addEventListener('pointermove', (e) => {
+    if (pressedAt && Math.hypot(e.clientX - pressedAt.x, e.clientY - pressedAt.y) > DRAG_THRESHOLD_PX) userZoomed = true;
   });
+  ['pointerup', 'pointercancel', 'pointerleave'].forEach((type) => container.addEventListener(type, () => (pressedAt = null)));
+
+  legendEl = document.getElementById('chart-legend');
+  applyOverallVisibility();
+
+  tooltipEl = document.createElement('div');
+  tooltipEl.className = 'chart-tooltip hidden';
+  container.appendChild(tooltipEl);
+  chart.subscribeCrosshairMove(showNotesTooltip);
 
   return chart;
 }
 
-export function updateChart(history) {
-  if (!seriesLow || !seriesHigh || !history || history.length === 0) return;
+function describeTransition(tr) {
+  const label = STATUS_LABELS[tr.status] || tr.status;
+  const parts = [label];
+  if (tr.reason) parts.push(REASON_LABELS[tr.reason] || tr.reason);
+  if (tr.detail) parts.push(tr.detail);
+  else if (tr.reason === REASON.SLOW && tr.rtt != null) parts.push(`${tr.rtt} ms`);
+  return parts.join(' — ');
+}
+
+function formatNote(time, text) {
+  return `${new Date(time).toLocaleTimeString(undefined, { hour12: false })} · ${text}`;
+}
+
+function showNotesTooltip(param) {
+  if (!tooltipEl) return;
+  const notes = param.time != null ? notesByTime.get(param.time) : null;
+  if (!notes || !param.point) {
+    tooltipEl.classList.add('hidden');
+    return;
+  }
+  tooltipEl.textContent = notes.join('\n');
+  tooltipEl.classList.remove('hidden');
+  const maxLeft = tooltipEl.parentElement.clientWidth - tooltipEl.offsetWidth - 4;
+  tooltipEl.style.left = Math.max(4, Math.min(param.point.x + 12, maxLeft)) + 'px';
+  tooltipEl.style.top = Math.max(4, param.point.y - 36) + 'px';
+}
+
+function applyOverallVisibility() {
+  const visible = !hiddenSeries.has(OVERALL_SERIES);
+  seriesLatency.applyOptions({ visible });
+  if (seriesRange) seriesRange.applyOptions({ visible });
+}
 
-  const slice = history.slice(-CHART_MAX_POINTS);
-  const dataLow = [];
-  const dataHigh = [];
+function toggleSeries(name) {
+  if (hiddenSeries.has(name)) hiddenSeries.delete(name);
+  else hiddenSeries.add(name);
+  localStorage.setItem(HIDDEN_SERIES_KEY, JSON.stringify([...hiddenSeries]));
+  if (name === OVERALL_SERIES) applyOverallVisibility();
+  else if (endpointSeries.has(name)) endpointSeries.get(name).applyOptions({ visible: !hiddenSeries.has(name) });
+}
 
-  slice.forEach(({ time, rtt }) => {
+/** Line data with gaps for failed samples and one point per second. */
+function toLineData(history) {
+  const data = [];
+  let lastT = null;
+  history.forEach(({ time, rtt }) => {
     const t = Math.floor(time / 1000);
-    if (rtt <= LATENCY_RED_THRESHOLD_MS) {
-      dataLow.push({ time: t, value: rtt });
-      dataHigh.push({ time: t }); // whitespace
+    if (t === lastT) return;
+    lastT = t;
+    data.push(rtt == null ? { time: t } : { time: t, value: rtt });
+  });
+  return data;
+}
+
+function renderLegend(endpoints) {
+  if (!legendEl) return;
+  legendEl.innerHTML = '';
+  legendEl.classList.toggle('hidden', endpoints.length === 0);
+  const items = [{ name: OVERALL_SERIES, color: bands[0].color, up: null }, ...endpoints];
+  items.forEach((item) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'legend-item' + (hiddenSeries.has(item.name) ? ' legend-item-off' : '');
+    btn.setAttribute('aria-pressed', String(!hiddenSeries.has(item.name)));
+    btn.title = hiddenSeries.has(item.name) ? 'Show ' + item.name : 'Hide ' + item.name;
+    const swatch = document.createElement('span');
+    swatch.className = 'legend-swatch';
+    swatch.style.background = item.color;
+    btn.appendChild(swatch);
+    btn.appendChild(document.createTextNode(item.name));
+    if (item.up != null) {
+      const state = document.createElement('span');
+      state.className = 'legend-state ' + (item.up ? 'legend-state-up' : 'legend-state-down');
+      state.textContent = item.up ? (item.lastRtt != null ? `${item.lastRtt} ms` : 'up') : 'down';
+      btn.appendChild(state);
+    }
+    btn.addEventListener('click', () => {
+      toggleSeries(item.name);
+      renderLegend(endpoints);
+    });
+    legendEl.appendChild(btn);
+  });
+}
+
+/**
+ * Draw one line per endpoint. Pass an empty list to remove them (sequential mode).
+ * @param {{ name: string, up: boolean|null, lastRtt: number|null, history: { time: number, rtt: number|null }[] }[]} endpoints
+ */
+export function updateEndpointSeries(endpoints) {
+  if (!chart) return;
+  const names = new Set(endpoints.map((ep) => ep.name));
+  endpointSeries.forEach((series, name) => {
+    if (names.has(name)) return;
+    chart.removeSeries(series);
+    endpointSeries.delete(name);
+  });
+  const legendItems = endpoints.map((ep, i) => {
+    const color = ENDPOINT_COLORS[i % ENDPOINT_COLORS.length];
+    let series = endpointSeries.get(ep.name);
+    if (!series) {
+      series = chart.addLineSeries({
+        color,
+        lineWidth: 1,
+        crosshairMarkerVisible: false,
+        lastValueVisible: false,
+        priceLineVisible: false,
+        visible: !hiddenSeries.has(ep.name),
+      });
+      endpointSeries.set(ep.name, series);
+    }
+    series.setData(toLineData(ep.history.slice(-CHART_MAX_POINTS)));
+    return { ...ep, color };
+  });
+  renderLegend(legendItems);
+}
+
+/** Index of the first item whose `time` is at least `time` (items sorted by time); length when none is. */
+function firstIndexFrom(items, time) {
+  let lo = 0;
+  let hi = items.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (items[mid].time < time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function bucketTime(time, bucketSec) {
+  return Math.floor(time / 1000 / bucketSec) * bucketSec;
+}
+
+/** Bucket (chart second) holding `time`, else the first one after it; null when past the last. */
+function snapToBucket(buckets, time, bucketSec) {
+  const bucket = buckets[firstIndexFrom(buckets, bucketTime(time, bucketSec))];
+  return bucket ? bucket.time : null;
+}
+
+/** Smallest bucket size that keeps the chart within CHART_MAX_POINTS. */
+function bucketSecondsFor(samples) {
+  if (samples.length <= CHART_MAX_POINTS) return 1;
+  const spanSec = (samples[samples.length - 1].time - samples[0].time) / 1000;
+  const needed = spanSec / CHART_MAX_POINTS;
+  return BUCKET_STEPS_S.find((step) => step >= needed) ?? BUCKET_STEPS_S[BUCKET_STEPS_S.length - 1];
+}
+
+function newBucket(time) {
+  return { time, count: 0, ok: 0, sum: 0, min: Infinity, max: -Infinity, timed: 0, phaseSums: TIMING_PHASES.map(() => 0) };
+}
+
+/** Add one sample's latency and (when known) request phases to a bucket. */
+function addToBucket(bucket, { rtt, timing }) {
+  bucket.count++;
+  if (rtt != null) {
+    bucket.ok++;
+    bucket.sum += rtt;
+    bucket.min = Math.min(bucket.min, rtt);
+    bucket.max = Math.max(bucket.max, rtt);
+  }
+  if (timing && timing.ttfb != null) {
+    bucket.timed++;
+    TIMING_PHASES.forEach((phase, i) => (bucket.phaseSums[i] += timing[phase] || 0));
+  }
+}
+
+/** Append one sample to the cache: its bucket, and a transition when its status differs from the previous one. */
+function appendSample(cache, sample) {
+  const t = bucketTime(sample.time, cache.bucketSec);
+  let bucket = cache.buckets[cache.buckets.length - 1];
+  if (!bucket || bucket.time !== t) {
+    bucket = newBucket(t);
+    cache.buckets.push(bucket);
+  }
+  addToBucket(bucket, sample);
+  cache.count++;
+  cache.lastTime = sample.time;
+  const status = sample.status || (sample.rtt == null ? STATUS.DISCONNECTED : null);
+  if (!status) return;
+  if (cache.prevStatus != null && status !== cache.prevStatus) {
+    const { time, reason, detail, rtt } = sample;
+    cache.transitions.push({ time, status, reason, detail, rtt });
+  }
+  cache.prevStatus = status;
+}
+
+/** Drop the buckets and transitions before the (trimmed) history and recount its first bucket. */
+function trimCache(cache, history) {
+  const first = history[0].time;
+  const t = bucketTime(first, cache.bucketSec);
+  cache.buckets.splice(0, firstIndexFrom(cache.buckets, t)).forEach((b) => (cache.count -= b.count));
+  if (cache.buckets.length && cache.buckets[0].time === t) {
+    const bucket = newBucket(t);
+    for (let i = 0; i < history.length && bucketTime(history[i].time, cache.bucketSec) === t; i++) {
+      addToBucket(bucket, history[i]);
+    }
+    cache.count += bucket.count - cache.buckets[0].count;
+    cache.buckets[0] = bucket;
+  }
+  // The first sample has no predecessor, so it is never a transition.
+  cache.transitions.splice(0, firstIndexFrom(cache.transitions, first + 1));
+  cache.firstTime = first;
+}
+
+/**
+ * Buckets and status transitions of `history`. Live updates push to and trim
+ * the same array, so only new samples (and the first bucket after a trim) are
+ * processed; another array or a new bucket size starts over.
+ */
+function bucketsFor(history) {
+  const bucketSec = bucketSecondsFor(history);
+  let cache = bucketCache;
+  if (cache && cache.history === history && cache.bucketSec === bucketSec && cache.count) {
+    if (history[0].time !== cache.firstTime) trimCache(cache, history);
+    let i = history.length;
+    while (i > 0 && history[i - 1].time > cache.lastTime) i--;
+    for (; i < history.length; i++) appendSample(cache, history[i]);
+  }
+  if (!cache || cache.history !== history || cache.bucketSec !== bucketSec || cache.count !== history.length) {
+    cache = { history, bucketSec, buckets: [], transitions: [], prevStatus: null, count: 0, lastTime: -Infinity };
+    cache.firstTime = history[0].time;
+    history.forEach((s) => appendSample(cache, s));
+    bucketCache = cache;
+  }
+  return cache;
+}
+
+/** Dashed price lines at each band's upper bound, in the colour of the band below it. */
+function drawBandLines() {
+  bandLines.forEach((line) => seriesLatency.removePriceLine(line));
+  bandLines = bands
+    .filter((b) => b.maxMs !== Infinity)
+    .map((b) =>
+      seriesLatency.createPriceLine({
+        price: b.maxMs,
+        color: b.color,
+        lineWidth: 1,
+        lineStyle: LineStyle.Dashed,
+        axisLabelVisible: true,
+        title: b.label,
+      })
+    );
+}
+
+/** Recolour the drawn line and move the boundary lines when the bands change. */
+function applyBands(next) {
+  bands = next;
+  if (!seriesLatency) return;
+  seriesLatency.applyOptions({ color: bands[0].color });
+  drawBandLines();
+  seriesLatency.setData(
+    seriesLatency.data().map((d) => ('value' in d ? { ...d, color: bandFor(d.value, bands).color } : d))
+  );
+}
+
+onLatencyBandsChange(applyBands);
+
+/** Follow the data again after the user zoomed or panned (e.g. a new range was picked). */
+export function resetZoom() {
+  userZoomed = false;
+  if (chart) chart.timeScale().fitContent();
+}
+
+function addNote(sec, line) {
+  if (!notesByTime.has(sec)) notesByTime.set(sec, []);
+  notesByTime.get(sec).push(line);
+}
+
+/**
+ * Draw the latency history, bucketed when it has more than CHART_MAX_POINTS samples.
+ * @param {{ time: number, rtt: number|null }[]} history oldest first
+ * @param {{ time: number, kind: string, text: string }[]} [annotations] network events to mark
+ */
+export function updateChart(history, annotations = []) {
+  if (!seriesLatency || !history || history.length === 0) return;
+
+  const { bucketSec, buckets, transitions } = bucketsFor(history);
+  const dataLatency = [];
+  const dataOutage = [];
+  const dataRange = [];
+
+  buckets.forEach((b) => {
+    const t = b.time;
+    const avg = b.ok ? Math.round(b.sum / b.ok) : null;
+    const loss = (b.count - b.ok) / b.count;
+    const band = loss === 1 ? OUTAGE_BAND_COLOR : loss > 0 && bucketSec > 1 ? PARTIAL_LOSS_BAND_COLOR : 'transparent';
+    dataOutage.push({ time: t, value: 1, color: band });
+    if (avg == null) {
+      dataLatency.push({ time: t }); // gap
+      dataRange.push({ time: t });
     } else {
-      dataLow.push({ time: t }); // whitespace
-      dataHigh.push({ time: t, value: rtt });
+      dataLatency.push({ time: t, value: avg, color: bandFor(avg, bands).color });
+      dataRange.push(bucketSec > 1 ? { time: t, open: avg, high: b.max, low: b.min, close: avg } : { time: t });
     }
   });
 
-  seriesLow.setData(dataLow);
-  seriesHigh.setData(dataHigh);
-  chart.timeScale().fitContent();
+  const markers = [];
+  notesByTime = new Map();
+  transitions.forEach((tr) => {
+    const sec = snapToBucket(buckets, tr.time, bucketSec);
+    addNote(sec, formatNote(tr.time, describeTransition(tr)));
+    markers.push({ time: sec, position: 'inBar', ...MARKER_STYLE[tr.status] });
+  });
+  // Markers need a time the series has data for, so events snap to their bucket (or the next one).
+  annotations.forEach((a) => {
+    if (a.time < history[0].time) return;
+    const sec = snapToBucket(buckets, a.time, bucketSec);
+    if (sec == null) return;
+    addNote(sec, formatNote(a.time, a.text));
+    markers.push({ time: sec, position: 'inBar', ...(ANNOTATION_STYLE[a.kind] || ANNOTATION_STYLE[ANNOTATION_KIND.NETWORK]) });
+  });
+  markers.sort((a, b) => a.time - b.time);
+
+  const timeScale = chart.timeScale();
+  const visible = userZoomed ? timeScale.getVisibleRange() : null;
+  const previousLast = seriesOutage.data().length ? seriesOutage.data().at(-1).time : null;
+
+  seriesLatency.setData(dataLatency);
+  seriesRange.setData(dataRange);
+  seriesOutage.setData(dataOutage);
+  seriesOutage.setMarkers(markers);
+
+  if (!visible) {
+    timeScale.fitContent();
+    return;
+  }
+  // Keep the user's zoom; if it showed the newest data, slide along with it.
+  const newest = buckets[buckets.length - 1].time;
+  if (previousLast != null && visible.to >= previousLast && newest > previousLast) {
+    const shift = newest - previousLast;
+    timeScale.setVisibleRange({ from: visible.from + shift, to: visible.to + shift });
+  } else {
+    timeScale.setVisibleRange(visible);
+  }
+}
+
+/**
+ * Request phase chart.
+ * @param {HTMLElement} container
+ * @param {HTMLElement} [legend] gets one swatch per phase
+ */
+export function initTimingChart(container, legend) {
+  if (!container) return;
+  timingChart = createChart(container, {
+    layout: {
+      background: { type: 'solid', color: 'transparent' },
+      textColor: '#8b8f99',
+      fontFamily: "'JetBrains Mono', monospace",
+      fontSize: 11,
+    },
+    grid: {
+      vertLines: { color: 'rgba(255,255,255,0.04)' },
+      horzLines: { color: 'rgba(255,255,255,0.04)' },
+    },
+    rightPriceScale: { borderVisible: false, scaleMargins: { top: 0.1, bottom: 0 }, textColor: '#8b8f99' },
+    timeScale: { borderVisible: false, timeVisible: true, secondsVisible: false, tickMarkFormatter: formatLocalTime },
+    localization: {
+      timeFormatter: (sec) => new Date(sec * 1000).toLocaleString(),
+      priceFormatter: (v) => `${Math.round(v)} ms`,
+    },
+    width: container.clientWidth,
+    height: container.clientHeight,
+  });
+  // Each series is the running sum up to its phase; later series draw over earlier ones.
+  [...TIMING_PHASES].reverse().forEach((phase) => {
+    const color = TIMING_PHASE_COLORS[phase];
+    timingSeries.push(
+      timingChart.addAreaSeries({
+        lineColor: color,
+        topColor: color,
+        bottomColor: color,
+        lineWidth: 1,
+        priceLineVisible: false,
+        lastValueVisible: false,
+        crosshairMarkerVisible: false,
+      })
+    );
+  });
+  if (!legend) return;
+  TIMING_PHASES.forEach((phase) => {
+    const item = document.createElement('span');
+    item.className = 'legend-item';
+    const swatch = document.createElement('span');
+    swatch.className = 'legend-swatch';
+    swatch.style.background = TIMING_PHASE_COLORS[phase];
+    item.append(swatch, TIMING_PHASE_LABELS[phase]);
+    legend.appendChild(item);
+  });
+}
+
+/**
+ * Draw the request phase breakdown as stacked areas, bucketed like `updateChart`.
+ * Samples without phase timing (failures, servers without Timing-Allow-Origin) are gaps.
+ * @param {{ time: number, timing: Object|null }[]} history oldest first
+ */
+export function updateTimingChart(history) {
+  if (!timingChart || !history || history.length === 0) return;
+  const stacks = TIMING_PHASES.map(() => []);
+  bucketsFor(history).buckets.forEach(({ time, timed, phaseSums }) => {
+    let sum = 0;
+    TIMING_PHASES.forEach((_, i) => {
+      if (!timed) {
+        stacks[i].push({ time });
+        return;
+      }
+      sum += phaseSums[i] / timed;
+      stacks[i].push({ time, value: Math.round(sum * 10) / 10 });
+    });
+  });
+  stacks.reverse().forEach((data, i) => timingSeries[i].setData(data));
+  timingChart.timeScale().fitContent();
 }
 
 export function resizeChart() {
   const container = document.querySelector('.chart-container');
   if (chart && container) chart.resize(container.clientWidth, container.clientHeight);
+  const timingContainer = document.querySelector('.timing-chart');
+  if (timingChart && timingContainer) timingChart.resize(timingContainer.clientWidth, timingContainer.clientHeight);
+  const throughputContainer = document.querySelector('.throughput-chart');
+  if (throughputChart && throughputContainer) {
+    throughputChart.resize(throughputContainer.clientWidth, throughputContainer.clientHeight);
+  }
+}
+
+// Throughput samples use centiseconds since the phase started as their "time".
+const formatPhaseTime = (time) => `${(time / 100).toFixed(1)} s`;
+
+export function initThroughputChart(container) {
+  if (!container) return;
+  throughputChart = createChart(container, {
+    layout: {
+      background: { type: 'solid', color: 'transparent' },
+      textColor: '#8b8f99',
+      fontFamily: "'JetBrains Mono', monospace",
+      fontSize: 11,
+    },
+    grid: {
+      vertLines: { color: 'rgba(255,255,255,0.04)' },
+      horzLines: { color: 'rgba(255,255,255,0.04)' },
+    },
+    rightPriceScale: { borderVisible: false, textColor: '#8b8f99' },
+    timeScale: { borderVisible: false, tickMarkFormatter: formatPhaseTime },
+    localization: { timeFormatter: formatPhaseTime, priceFormatter: (v) => `${v.toFixed(1)} Mbps` },
+    width: container.clientWidth,
+    height: container.clientHeight,
+  });
+  throughputDown = throughputChart.addLineSeries({ color: '#22d3ee', lineWidth: 2, priceLineVisible: false });
+  throughputUp = throughputChart.addLineSeries({ color: '#c084fc', lineWidth: 2, priceLineVisible: false });
+}
+
+function toThroughputData(samples) {
+  const data = [];
+  samples.forEach(({ elapsedMs, mbps }) => {
+    const t = Math.round(elapsedMs / 10);
+    if (data.length && t <= data[data.length - 1].time) return;
+    data.push({ time: t, value: mbps });
+  });
+  return data;
+}
+
+/**
+ * @param {{ elapsedMs: number, mbps: number }[]} download
+ * @param {{ elapsedMs: number, mbps: number }[]} upload
+ */
+export function updateThroughputChart(download, upload) {
+  if (!throughputChart) return;
+  throughputDown.setData(toThroughputData(download));
+  throughputUp.setData(toThroughputData(upload));
+  throughputChart.timeScale().fitContent();
 }
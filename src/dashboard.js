@@ -1,31 +1,148 @@
 /**
- * Dashboard: current time (network-synced), local IP, public IP, DNS, gateway.
+ * Dashboard: current time (network-synced), local IP, public IP with ASN/ISP and
+ * Cloudflare edge, DNS, gateway.
  * Browser cannot read gateway or DNS server; we show what we can get.
+ * Time sync is NTP-style: several samples, each corrected for half its round
+ * trip, reduced to the median; it resyncs periodically and reports the system
+ * clock's offset and drift.
  */
 
 const WORLD_TIME_API = 'https://worldtimeapi.org/api/ip';
 const CLOUDFLARE_TRACE = 'https://api.cloudflare.com/cdn-cgi/trace';
 const IPIFY_JSON = 'https://api.ipify.org?format=json';
+const IPINFO_URL = 'https://ipinfo.io';
+const IPAPI_URL = 'https://ipapi.co';
+
+const TIME_SAMPLES = 5; // per sync, after one warm-up request that opens the connection
+const TIME_MIN_SAMPLES = 3; // fewer answers than this and the next source is tried
+const TIME_REQUEST_TIMEOUT_MS = 4000;
+const TIME_RESYNC_MS = 30 * 60 * 1000;
+const DRIFT_MIN_SPAN_MS = 10 * 60 * 1000; // syncs closer together than this say nothing about drift
+export const CLOCK_WARN_OFFSET_MS = 3000;
+
+/** Parse the server's time (ms since epoch) out of a response body. */
+function parseTraceTime(text) {
+  const m = text.match(/^ts=(\d+(?:\.\d+)?)\s*$/m);
+  return m ? Math.round(Number(m[1]) * 1000) : null;
+}
+
+function parseWorldTime(text) {
+  const ms = new Date(JSON.parse(text).datetime).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// Tried in order. The trace endpoints report time to the millisecond, as does worldtimeapi's `datetime`.
+const TIME_SOURCES = [
+  { name: 'Cloudflare', url: CLOUDFLARE_TRACE, parse: parseTraceTime },
+  { name: 'Cloudflare (1.1.1.1)', url: 'https://1.1.1.1/cdn-cgi/trace', parse: parseTraceTime },
+  { name: 'WorldTimeAPI', url: WORLD_TIME_API, parse: parseWorldTime },
+];
 
 let networkTimeOffsetMs = 0; // offset from system time to "internet" time (0 = use system)
 let clockIntervalId = null;
+let timeSync = null; // last successful sync
+let timeSyncError = null;
+let resyncTimerId = null;
+const timeSyncListeners = [];
+let asnCache = null; // { ip, asn, isp } of the last successful lookup
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
 
 /**
- * Fetch network time and timezone from internet; sets offset for display.
+ * One NTP-style sample: the server stamped its time somewhere during the round
+ * trip, so it is compared with the local time halfway through it.
+ * @returns {Promise<{ offsetMs: number, rttMs: number }|null>}
  */
-export async function syncTimeFromInternet() {
+async function timeSample(source) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), TIME_REQUEST_TIMEOUT_MS);
   try {
-    const res = await fetch(WORLD_TIME_API + '?t=' + Date.now(), { cache: 'no-store' });
-    if (!res.ok) return;
-    const data = await res.json();
-    const serverMs = new Date(data.datetime).getTime();
-    const localMs = Date.now();
-    networkTimeOffsetMs = serverMs - localMs;
+    const sentAt = Date.now();
+    const start = performance.now();
+    const res = await fetch(source.url + '?t=' + sentAt, { cache: 'no-store', signal: controller.signal });
+    const rttMs = performance.now() - start;
+    if (!res.ok) return null;
+    const serverMs = source.parse(await res.text());
+    if (serverMs == null) return null;
+    return { offsetMs: serverMs - (sentAt + rttMs / 2), rttMs };
   } catch (_) {
-    networkTimeOffsetMs = 0;
+    return null;
+  } finally {
+    clearTimeout(timeout);
   }
 }
 
+/** Median offset over several samples from one source, or null when it did not answer often enough. */
+async function syncFrom(source) {
+  if (!(await timeSample(source))) return null; // unreachable: do not wait out every sample
+  const samples = [];
+  for (let i = 0; i < TIME_SAMPLES; i++) {
+    const sample = await timeSample(source);
+    if (sample) samples.push(sample);
+  }
+  if (samples.length < TIME_MIN_SAMPLES) return null;
+  return {
+    offsetMs: Math.round(median(samples.map((s) => s.offsetMs))),
+    // The server's stamp can sit anywhere in the round trip, so half the fastest one bounds the error.
+    accuracyMs: Math.round(Math.min(...samples.map((s) => s.rttMs)) / 2),
+    samples: samples.length,
+    source: source.name,
+  };
+}
+
+/**
+ * Measure the system clock's offset from network time (median of several
+ * RTT-corrected samples, falling back across sources) and use it for the
+ * clock. A failed sync keeps the previous offset.
+ * @returns {Promise<{ time: number, offsetMs: number, accuracyMs: number, samples: number, source: string,
+ *   driftMsPerHour: number|null }|null>} null when no source answered
+ */
+export async function syncTimeFromInternet() {
+  let result = null;
+  for (const source of TIME_SOURCES) {
+    result = await syncFrom(source);
+    if (result) break;
+  }
+  if (!result) {
+    timeSyncError = 'No time source answered';
+  } else {
+    const previous = timeSync;
+    let driftMsPerHour = previous ? previous.driftMsPerHour : null;
+    if (previous && Date.now() - previous.time >= DRIFT_MIN_SPAN_MS) {
+      const hours = (Date.now() - previous.time) / 3600000;
+      driftMsPerHour = Math.round(((result.offsetMs - previous.offsetMs) / hours) * 10) / 10;
+    }
+    timeSync = { time: Date.now(), ...result, driftMsPerHour };
+    timeSyncError = null;
+    networkTimeOffsetMs = result.offsetMs;
+  }
+  timeSyncListeners.forEach((fn) => fn(getTimeSync()));
+  return result ? { ...timeSync } : null;
+}
+
+/**
+ * The last sync and whether the latest attempt failed.
+ * @returns {{ sync: Object|null, error: string|null }}
+ */
+export function getTimeSync() {
+  return { sync: timeSync ? { ...timeSync } : null, error: timeSyncError };
+}
+
+export function onTimeSync(fn) {
+  timeSyncListeners.push(fn);
+}
+
+/** Sync now and then every TIME_RESYNC_MS. */
+export function startTimeSync() {
+  if (resyncTimerId) clearInterval(resyncTimerId);
+  resyncTimerId = setInterval(syncTimeFromInternet, TIME_RESYNC_MS);
+  return syncTimeFromInternet();
+}
+
 /**
  * Current time string (local region), optionally synced from internet.
  */
@@ -144,31 +261,81 @@ export async function getLocalEthernetAndWifiIPs() {
 }
 
 /**
- * Get public IP (WAN side of router) and DNS resolver(s).
- * Public IP = the router's IP as seen from the internet.
+ * ASN and ISP name for a public IP (ipinfo.io, then ipapi.co). Cached per IP,
+ * so repeated refreshes do not use up the services' free quotas.
+ */
+async function lookupNetwork(ip) {
+  if (asnCache && asnCache.ip === ip) return asnCache;
+  let result = { ip, asn: null, isp: null };
+  try {
+    const res = await fetch(`${IPINFO_URL}/${encodeURIComponent(ip)}/json`, { cache: 'no-store' });
+    if (!res.ok) throw new Error('Not ok');
+    const data = await res.json();
+    // "org" is "AS13335 Cloudflare, Inc."
+    const m = String(data.org || '').match(/^(AS\d+)\s*(.*)$/);
+    result = { ip, asn: m ? m[1] : null, isp: m ? m[2] || null : data.org || null };
+  } catch (_) {
+    try {
+      const res = await fetch(`${IPAPI_URL}/${encodeURIComponent(ip)}/json/`, { cache: 'no-store' });
+      if (!res.ok) throw new Error('Not ok');
+      const data = await res.json();
+      if (data.error) throw new Error(data.reason || 'lookup failed');
+      result = { ip, asn: data.asn || null, isp: data.org || null };
+    } catch (__) {
+      return result; // not cached: try again on the next refresh
+    }
+  }
+  asnCache = result;
+  return result;
+}
+
+function parseTrace(text) {
+  const map = {};
+  text.split('\n').forEach((line) => {
+    const i = line.indexOf('=');
+    if (i > 0) map[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+  });
+  return map;
+}
+
+/**
+ * Get public IP (WAN side of router), its ASN/ISP, DNS resolver(s) and, from the
+ * Cloudflare trace, the edge location (`colo`, an airport code), country (`loc`),
+ * HTTP and TLS versions and whether WARP (`off`/`on`/`plus`) or Gateway is on.
+ * Trace fields are null when the trace failed and ipify answered instead.
+ * @returns {Promise<{ publicIP: string|null, dns1: string|null, asn: string|null, isp: string|null, colo: string|null,
+ *   loc: string|null, http: string|null, tls: string|null, warp: string|null, gateway: string|null }>}
  */
 export async function getPublicIPAndInfo() {
+  const empty = { colo: null, loc: null, http: null, tls: null, warp: null, gateway: null };
+  let info;
   try {
     const res = await fetch(CLOUDFLARE_TRACE + '?t=' + Date.now(), { cache: 'no-store' });
     if (!res.ok) throw new Error('Not ok');
-    const text = await res.text();
-    const map = {};
-    text.split('\n').forEach((line) => {
-      const i = line.indexOf('=');
-      if (i > 0) map[line.slice(0, i).trim()] = line.slice(i + 1).trim();
-    });
-    const { dns1 } = await getDnsResolvers();
-    return { publicIP: map.ip || null, dns1: dns1 || null };
+    const map = parseTrace(await res.text());
+    info = {
+      publicIP: map.ip || null,
+      colo: map.colo || null,
+      loc: map.loc || null,
+      http: map.http || null,
+      tls: map.tls || null,
+      warp: map.warp || null,
+      gateway: map.gateway || null,
+    };
   } catch (_) {
     try {
       const res = await fetch(IPIFY_JSON + '&t=' + Date.now(), { cache: 'no-store' });
       const data = await res.json();
-      const { dns1 } = await getDnsResolvers();
-      return { publicIP: data.ip || null, dns1: dns1 || null };
+      info = { publicIP: data.ip || null, ...empty };
     } catch (__) {
-      return { publicIP: null, dns1: null };
+      return { publicIP: null, dns1: null, asn: null, isp: null, ...empty };
     }
   }
+  const [{ dns1 }, network] = await Promise.all([
+    getDnsResolvers(),
+    info.publicIP ? lookupNetwork(info.publicIP) : { asn: null, isp: null },
+  ]);
+  return { ...info, dns1: dns1 || null, asn: network.asn, isp: network.isp };
 }
 
 /**
@@ -1,34 +1,34 @@
 /**
  * Outage diagnostics: multi-endpoint probe, DNS/connect hints from Resource Timing,
- * and user-facing troubleshooting tips.
+ * where the failure sits (local network, router → ISP, upstream services; see lan.js)
+ * and user-facing troubleshooting tips. Probes the configured targets plus an image beacon;
+ * a recent poor bufferbloat grade adds its suggestions too, and slow DNS points at the
+ * resolver the DNS benchmark measured fastest.
  */
 
-const DIAG_ENDPOINTS = [
-  { url: 'https://api.cloudflare.com/cdn-cgi/trace', name: 'Cloudflare' },
-  { url: 'https://httpbin.org/get', name: 'httpbin' },
-  { url: 'https://api.ipify.org?format=json', name: 'ipify' },
-  { url: 'https://www.google.com/favicon.ico', name: 'Google (beacon)', beacon: true },
+import { getTargets, checkResponse, cacheBustedUrl } from './targets.js';
+import { REASON } from './status.js';
+import { getLastBufferbloat, bufferbloatSuggestions } from './bufferbloat.js';
+import { getLastDnsBenchmark } from './dns-benchmark.js';
+import { checkLocalNetwork, classifyFailure, tipsForScope } from './lan.js';
+import { timingForUrl } from './resource-timing.js';
+
+const BEACON_ENDPOINT = { url: 'https://www.google.com/favicon.ico', name: 'Google (beacon)', beacon: true };
+
+export const CAPTIVE_PORTAL_TIPS = [
+  'Something between you and the internet is answering instead of the real services — usually a hotel, airport or café Wi‑Fi login page.',
+  'Open http://neverssl.com in a new tab to bring up the login or terms page, then sign in or accept.',
+  'If there is no login page, a firewall, proxy or filtering DNS may be rewriting responses — try another network or a VPN.',
 ];
 
 const DNS_SLOW_MS = 100;
 const CONNECT_SLOW_MS = 200;
 
-function getResourceTimingForUrl(url) {
-  const entries = performance.getEntriesByType('resource');
-  const match = entries.filter((e) => e.name && e.name.startsWith(url)).pop();
-  if (!match || !('domainLookupEnd' in match)) return null;
-  const dns = match.domainLookupEnd - match.domainLookupStart;
-  const connect = match.connectEnd - match.connectStart;
-  const ttfb = match.responseStart - match.requestStart;
-  const download = match.responseEnd - match.responseStart;
-  return { dns, connect, ttfb, download, total: match.responseEnd - match.requestStart };
-}
-
 function probeBeacon(url) {
   return new Promise((resolve) => {
     const img = new Image();
     const start = performance.now();
-    const u = url + (url.includes('?') ? '&' : '?') + 't=' + Date.now();
+    const u = cacheBustedUrl(url);
     img.onload = () => resolve({ ok: true, rtt: Math.round(performance.now() - start) });
     img.onerror = () => resolve({ ok: false });
     img.src = u;
@@ -41,15 +41,21 @@ async function probeEndpoint(ep) {
   }
   const start = performance.now();
   const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 5000);
+  const timeout = setTimeout(() => controller.abort(), ep.timeoutMs);
+  const url = cacheBustedUrl(ep.url);
   try {
-    await fetch(ep.url + (ep.url.includes('?') ? '&' : '?') + 't=' + Date.now(), {
+    const res = await fetch(url, {
+      method: ep.method,
       mode: 'cors',
       cache: 'no-store',
       signal: controller.signal,
     });
+    const rtt = Math.round(performance.now() - start);
+    const check = await checkResponse(ep, res);
+    if (!res.bodyUsed) await res.arrayBuffer().catch(() => null);
     clearTimeout(timeout);
-    return { ok: true, rtt: Math.round(performance.now() - start), name: ep.name };
+    const timing = await timingForUrl(url);
+    return { ok: check.ok, rtt, name: ep.name, failure: check.detail, error: check.error, timing };
   } catch (e) {
     clearTimeout(timeout);
     return { ok: false, name: ep.name };
@@ -58,51 +64,65 @@ async function probeEndpoint(ep) {
 
 /**
  * Run full diagnostics and return structured result + suggestions.
- * @returns {Promise<{ dnsOk: boolean, endpointsReached: string[], latencyBreakdown: Object|null, suggestions: string[] }>}
+ * @returns {Promise<{ dnsOk: boolean, intercepted: boolean, endpointsReached: string[], latencyBreakdown: Object|null,
+ *   scope: string|null, lan: Object|null, suggestions: string[] }>}
  */
 export async function runDiagnostics() {
-  const results = await Promise.all(DIAG_ENDPOINTS.map(probeEndpoint));
+  const endpoints = [...getTargets(), BEACON_ENDPOINT];
+  const results = await Promise.all(endpoints.map(probeEndpoint));
   const endpointsReached = results.filter((r) => r.ok).map((r) => r.name);
   const allFailed = endpointsReached.length === 0;
-  const someFailed = endpointsReached.length > 0 && endpointsReached.length < DIAG_ENDPOINTS.length;
-
-  let latencyBreakdown = null;
-  for (const ep of DIAG_ENDPOINTS) {
-    if (ep.beacon) continue;
-    const timing = getResourceTimingForUrl(ep.url);
-    if (timing) {
-      latencyBreakdown = timing;
-      break;
-    }
-  }
+  const someFailed = endpointsReached.length > 0 && endpointsReached.length < endpoints.length;
+  const intercepted = results.filter((r) => r.error === REASON.INTERCEPTED);
+  const failedChecks = results.filter((r) => r.failure && r.error !== REASON.INTERCEPTED);
+
+  const timed = results.find((r) => r.timing && r.timing.ttfb != null);
+  const latencyBreakdown = timed ? timed.timing : null;
 
   const suggestions = [];
 
-  if (allFailed) {
-    suggestions.push('Check modem and router — power cycle both and wait a minute.');
-    suggestions.push('Confirm other devices on the same network — if they’re also offline, the issue is likely your ISP or equipment.');
-    suggestions.push('Contact your ISP if the outage continues.');
-  } else if (someFailed) {
-    suggestions.push('Some services are reachable and others aren’t — specific sites or providers may be down.');
-    suggestions.push('Try a different website or app to see if the problem is limited to one service.');
+  if (intercepted.length) {
+    suggestions.push(`Intercepted: ${intercepted.map((r) => `${r.name} (${r.failure})`).join(', ')}.`);
+    suggestions.push(...CAPTIVE_PORTAL_TIPS);
   }
 
+  // Only worth probing the LAN when nothing on the internet answered.
+  const lan = allFailed && !intercepted.length ? await checkLocalNetwork() : null;
+  const scope = intercepted.length ? null : classifyFailure({ allFailed, someFailed, lan });
+  suggestions.push(...tipsForScope(scope, lan));
+
+  failedChecks.forEach((r) => {
+    suggestions.push(
+      `${r.name} answered but failed its check (${r.failure}) — the service itself is likely at fault, not your connection.`
+    );
+  });
+
   if (latencyBreakdown) {
     const { dns, connect } = latencyBreakdown;
     if (dns >= DNS_SLOW_MS) {
-      suggestions.push('DNS is slow — try changing your DNS to 8.8.8.8 (Google) or 1.1.1.1 (Cloudflare) in your router or device settings.');
+      const recommendation = getLastDnsBenchmark()?.recommendation;
+      suggestions.push(
+        recommendation
+          ? `DNS is slow — switch your router or device to the resolver the DNS benchmark measured best. ${recommendation.text}`
+          : 'DNS is slow — run the DNS benchmark to see whether another resolver (e.g. 1.1.1.1 or 8.8.8.8) would actually be faster here.'
+      );
     }
     if (connect >= CONNECT_SLOW_MS) {
       suggestions.push('Connection to the server is slow — check firewall, VPN, or local network congestion.');
     }
   }
 
+  if (!allFailed) suggestions.push(...bufferbloatSuggestions(getLastBufferbloat()));
+
   const dnsOk = endpointsReached.length > 0;
 
   return {
     dnsOk,
+    intercepted: intercepted.length > 0,
     endpointsReached,
     latencyBreakdown,
+    scope,
+    lan,
     suggestions: [...new Set(suggestions)],
   };
 }
@@ -0,0 +1,252 @@
+/**
+ * DNS resolver benchmark over DNS-over-HTTPS (RFC 8484 GET, wire format), so
+ * any DoH resolver can be compared from the browser. Per resolver it times
+ * popular (likely cached) names and random subdomains (never cached), checks
+ * that a nonexistent name really answers NXDOMAIN, and checks DNSSEC
+ * validation (AD flag on a signed name, SERVFAIL on a deliberately broken one).
+ * The fastest reliable resolver is recommended; the last run is kept for diagnostics.
+ */
+
+const RESOLVERS_KEY = 'conntivity-dns-resolvers';
+const RESULT_KEY = 'conntivity-dns-benchmark';
+const QUERY_TIMEOUT_MS = 4000;
+const RESULT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_FAILURE_RATE = 0.1; // resolvers failing more often than this are never recommended
+
+const CACHED_NAMES = ['www.google.com', 'www.wikipedia.org', 'www.amazon.com', 'www.microsoft.com', 'www.apple.com'];
+const UNCACHED_ZONES = ['wikipedia.org', 'amazon.com', 'microsoft.com', 'apple.com', 'cloudflare.com'];
+const DNSSEC_SIGNED_NAME = 'cloudflare.com';
+const DNSSEC_BROKEN_NAME = 'dnssec-failed.org';
+
+export const PRESET_RESOLVERS = [
+  { id: 'cloudflare', name: 'Cloudflare', url: 'https://cloudflare-dns.com/dns-query', addresses: '1.1.1.1, 1.0.0.1' },
+  { id: 'google', name: 'Google', url: 'https://dns.google/dns-query', addresses: '8.8.8.8, 8.8.4.4' },
+  { id: 'quad9', name: 'Quad9', url: 'https://dns.quad9.net/dns-query', addresses: '9.9.9.9, 149.112.112.112' },
+];
+
+const RCODE = { NOERROR: 0, SERVFAIL: 2, NXDOMAIN: 3 };
+
+export const DNSSEC_STATE = {
+  VALIDATING: 'validating',
+  NOT_VALIDATING: 'not-validating',
+  UNKNOWN: 'unknown',
+};
+
+export const NXDOMAIN_STATE = {
+  OK: 'ok',
+  REWRITTEN: 'rewritten', // nonexistent names resolve (ad or search redirect)
+  UNKNOWN: 'unknown',
+};
+
+let lastResult = loadResult();
+
+function loadResult() {
+  try {
+    return JSON.parse(localStorage.getItem(RESULT_KEY) || 'null');
+  } catch (_) {
+    return null;
+  }
+}
+
+function sanitizeResolverSettings(s) {
+  const ids = PRESET_RESOLVERS.map((r) => r.id);
+  return {
+    enabled: Array.isArray(s.enabled) ? s.enabled.filter((id) => ids.includes(id)) : [...ids],
+    customUrl: String(s.customUrl || '').trim(),
+  };
+}
+
+export function getResolverSettings() {
+  try {
+    return sanitizeResolverSettings(JSON.parse(localStorage.getItem(RESOLVERS_KEY) || 'null') || {});
+  } catch (_) {
+    return sanitizeResolverSettings({});
+  }
+}
+
+/**
+ * Update and persist which resolvers to benchmark. Throws on an invalid custom URL.
+ * @param {{ enabled?: string[], customUrl?: string }} partial
+ */
+export function setResolverSettings(partial) {
+  const next = sanitizeResolverSettings({ ...getResolverSettings(), ...partial });
+  if (next.customUrl) {
+    let u;
+    try {
+      u = new URL(next.customUrl);
+    } catch (_) {
+      throw new Error('Custom resolver URL is not valid.');
+    }
+    if (u.protocol !== 'https:') throw new Error('Custom resolver URL must be https.');
+  }
+  if (!next.enabled.length && !next.customUrl) throw new Error('Choose at least one resolver.');
+  localStorage.setItem(RESOLVERS_KEY, JSON.stringify(next));
+  return next;
+}
+
+function resolversToTest() {
+  const s = getResolverSettings();
+  const list = PRESET_RESOLVERS.filter((r) => s.enabled.includes(r.id));
+  if (s.customUrl) list.push({ id: 'custom', name: new URL(s.customUrl).hostname, url: s.customUrl, addresses: null });
+  return list;
+}
+
+/** RFC 1035 query for an A record with RD and AD set (AD asks for the validation result). */
+function buildQuery(name) {
+  const labels = name.split('.').filter(Boolean);
+  const bytes = [0, 0, 0x01, 0x20, 0, 1, 0, 0, 0, 0, 0, 0];
+  labels.forEach((label) => {
+    bytes.push(label.length);
+    for (let i = 0; i < label.length; i++) bytes.push(label.charCodeAt(i));
+  });
+  bytes.push(0, 0, 1, 0, 1);
+  return new Uint8Array(bytes);
+}
+
+function base64url(bytes) {
+  let s = '';
+  bytes.forEach((b) => (s += String.fromCharCode(b)));
+  return btoa(s).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * One timed lookup. Resolves to `{ ok, ms, rcode, ad, answers }`; `ok` is false
+ * on network errors, timeouts and non-DNS responses.
+ */
+async function lookup(resolver, name) {
+  const url = `${resolver.url}${resolver.url.includes('?') ? '&' : '?'}dns=${base64url(buildQuery(name))}`;
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), QUERY_TIMEOUT_MS);
+  const start = performance.now();
+  try {
+    const res = await fetch(url, {
+      headers: { accept: 'application/dns-message' },
+      mode: 'cors',
+      cache: 'no-store',
+      signal: controller.signal,
+    });
+    const body = new Uint8Array(await res.arrayBuffer());
+    const ms = Math.round(performance.now() - start);
+    if (!res.ok || body.length < 12) return { ok: false, ms: null };
+    return {
+      ok: true,
+      ms,
+      rcode: body[3] & 0x0f,
+      ad: Boolean(body[3] & 0x20),
+      answers: (body[6] << 8) | body[7],
+    };
+  } catch (_) {
+    return { ok: false, ms: null };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function randomLabel() {
+  return 'cty-' + Math.random().toString(36).slice(2, 12);
+}
+
+function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function summarize(results) {
+  const times = results.filter((r) => r.ok && r.rcode !== RCODE.SERVFAIL).map((r) => r.ms);
+  return { medianMs: percentile(times, 50), p95Ms: percentile(times, 95) };
+}
+
+/**
+ * Benchmark one resolver.
+ * @returns {Promise<Object>} `{ id, name, url, addresses, cached, uncached, failureRate, dnssec, nxdomain }`
+ */
+async function benchmarkResolver(resolver) {
+  await lookup(resolver, CACHED_NAMES[0]); // open the HTTPS connection so the handshake is not timed
+  const cached = [];
+  for (const name of CACHED_NAMES) cached.push(await lookup(resolver, name));
+  const uncached = [];
+  for (const zone of UNCACHED_ZONES) uncached.push(await lookup(resolver, `${randomLabel()}.${zone}`));
+  const signed = await lookup(resolver, DNSSEC_SIGNED_NAME);
+  const broken = await lookup(resolver, DNSSEC_BROKEN_NAME);
+
+  // Cached names must resolve; random names may only fail with NXDOMAIN.
+  const all = [...cached, ...uncached];
+  const failures =
+    cached.filter((r) => !r.ok || r.rcode !== RCODE.NOERROR).length +
+    uncached.filter((r) => !r.ok || r.rcode === RCODE.SERVFAIL).length;
+
+  let dnssec = DNSSEC_STATE.UNKNOWN;
+  if (signed.ok && broken.ok) {
+    dnssec = signed.ad && broken.rcode === RCODE.SERVFAIL ? DNSSEC_STATE.VALIDATING : DNSSEC_STATE.NOT_VALIDATING;
+  }
+  const answered = uncached.filter((r) => r.ok);
+  let nxdomain = NXDOMAIN_STATE.UNKNOWN;
+  if (answered.length) {
+    nxdomain = answered.some((r) => r.rcode === RCODE.NOERROR && r.answers > 0) ? NXDOMAIN_STATE.REWRITTEN : NXDOMAIN_STATE.OK;
+  }
+
+  return {
+    id: resolver.id,
+    name: resolver.name,
+    url: resolver.url,
+    addresses: resolver.addresses,
+    cached: summarize(cached),
+    uncached: summarize(uncached),
+    failureRate: Math.round((failures / all.length) * 100) / 100,
+    dnssec,
+    nxdomain,
+  };
+}
+
+/** Typical lookup cost: most lookups hit the cache, the rest pay the full recursion. */
+function score(r) {
+  if (r.cached.medianMs == null) return Infinity;
+  return 0.7 * r.cached.medianMs + 0.3 * (r.uncached.medianMs ?? r.cached.medianMs) + 0.1 * (r.cached.p95Ms ?? 0);
+}
+
+function recommend(resolvers) {
+  const eligible = resolvers
+    .filter((r) => r.failureRate <= MAX_FAILURE_RATE && r.nxdomain !== NXDOMAIN_STATE.REWRITTEN && score(r) < Infinity)
+    .sort((a, b) => score(a) - score(b));
+  if (!eligible.length) return null;
+  let best = eligible[0];
+  // Within 10% it is not worth giving up DNSSEC validation for speed.
+  const validating = eligible.find((r) => r.dnssec === DNSSEC_STATE.VALIDATING);
+  if (best.dnssec !== DNSSEC_STATE.VALIDATING && validating && score(validating) <= score(best) * 1.1) best = validating;
+  const where = best.addresses ? ` (${best.addresses})` : ` (${best.url})`;
+  return {
+    id: best.id,
+    name: best.name,
+    text:
+      `${best.name}${where} was fastest and reliable: median ${best.cached.medianMs} ms for cached names, ` +
+      `${best.uncached.medianMs ?? '—'} ms uncached, ${Math.round(best.failureRate * 100)}% failures.`,
+  };
+}
+
+/**
+ * Benchmark the configured resolvers one after another (so they do not compete).
+ * `onProgress` gets the name of the resolver being tested.
+ * @returns {Promise<{ time: number, resolvers: Object[], recommendation: { id: string, name: string, text: string }|null }>}
+ */
+export async function runDnsBenchmark(onProgress = () => {}) {
+  const resolvers = [];
+  for (const resolver of resolversToTest()) {
+    onProgress(resolver.name);
+    resolvers.push(await benchmarkResolver(resolver));
+  }
+  const result = { time: Date.now(), resolvers, recommendation: recommend(resolvers) };
+  lastResult = result;
+  try {
+    localStorage.setItem(RESULT_KEY, JSON.stringify(result));
+  } catch (_) {
+    // storage full or disabled: keep it for this session only
+  }
+  return result;
+}
+
+/** The last benchmark if it is recent enough to describe the current network. */
+export function getLastDnsBenchmark() {
+  if (!lastResult || Date.now() - lastResult.time > RESULT_MAX_AGE_MS) return null;
+  return lastResult;
+}
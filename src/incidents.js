@@ -0,0 +1,175 @@
+/**
+ * Incident log: turns monitor status changes into outage / degraded periods
+ * with start, end, duration, peak latency, failed endpoints and the
+ * diagnostics captured while the incident was open. Persisted via storage.js.
+ * Only the leader tab records incidents; followers receive its list over tabs.js.
+ */
+
+import { STATUS } from './monitor.js';
+import { saveIncident, loadIncidents } from './storage.js';
+import { broadcast, onTabMessage } from './tabs.js';
+
+const MAX_INCIDENTS = 200;
+const STALE_OPEN_INCIDENT_MS = 5 * 60 * 1000; // open incident from a previous session older than this is closed at its last update
+
+export const INCIDENT_TYPE = {
+  OUTAGE: 'outage',
+  INTERCEPTED: 'intercepted',
+  DEGRADED: 'degraded',
+};
+
+const TYPE_FOR_STATUS = {
+  [STATUS.DISCONNECTED]: INCIDENT_TYPE.OUTAGE,
+  [STATUS.INTERCEPTED]: INCIDENT_TYPE.INTERCEPTED,
+  [STATUS.DEGRADED]: INCIDENT_TYPE.DEGRADED,
+};
+
+const TYPE_SEVERITY = {
+  [INCIDENT_TYPE.DEGRADED]: 0,
+  [INCIDENT_TYPE.INTERCEPTED]: 1,
+  [INCIDENT_TYPE.OUTAGE]: 2,
+};
+
+const incidents = []; // newest first
+let current = null;
+const listeners = [];
+
+function notify(share = true) {
+  const list = getIncidents();
+  listeners.forEach((fn) => fn(list));
+  if (share) broadcast({ type: 'incidents', incidents: list });
+}
+
+function persist(incident) {
+  saveIncident({ ...incident, failedEndpoints: [...incident.failedEndpoints] });
+}
+
+function openIncident(type, now) {
+  current = {
+    id: now,
+    type,
+    start: now,
+    end: null,
+    duration: null,
+    updatedAt: now,
+    peakLatency: null,
+    failedEndpoints: [],
+    diagnostics: null,
+  };
+  incidents.unshift(current);
+  if (incidents.length > MAX_INCIDENTS) incidents.pop();
+}
+
+function closeIncident(end) {
+  current.end = end;
+  current.updatedAt = end;
+  current.duration = end - current.start;
+  persist(current);
+  current = null;
+}
+
+/**
+ * Feed a monitor `statusChange` event. Disconnected opens (or escalates to) an
+ * outage, intercepted and degraded open their own type, connected closes the open one.
+ */
+export function handleStatusChange({ status, rtt, failedEndpoints }) {
+  if (status === STATUS.UNKNOWN) return;
+  const now = Date.now();
+  if (status === STATUS.CONNECTED) {
+    if (!current) return;
+    closeIncident(now);
+    notify();
+    return;
+  }
+  const type = TYPE_FOR_STATUS[status];
+  if (!type) return;
+  if (!current) openIncident(type, now);
+  else if (TYPE_SEVERITY[type] > TYPE_SEVERITY[current.type]) current.type = type;
+  if (rtt != null && (current.peakLatency == null || rtt > current.peakLatency)) current.peakLatency = rtt;
+  (failedEndpoints || []).forEach((name) => {
+    if (!current.failedEndpoints.includes(name)) current.failedEndpoints.push(name);
+  });
+  current.updatedAt = now;
+  persist(current);
+  notify();
+}
+
+/**
+ * Attach a `runDiagnostics()` result to the open incident (latest result wins).
+ */
+export function attachDiagnostics(result) {
+  if (!current || !result) return;
+  current.diagnostics = {
+    time: Date.now(),
+    endpointsReached: [...(result.endpointsReached || [])],
+    latencyBreakdown: result.latencyBreakdown || null,
+    scope: result.scope || null,
+    suggestions: [...(result.suggestions || [])],
+  };
+  persist(current);
+  notify();
+}
+
+/**
+ * Load stored incidents. An incident left open by a previous session is
+ * resumed if recent, otherwise closed at the time it was last updated.
+ */
+export async function restoreIncidents() {
+  const stored = await loadIncidents({ limit: MAX_INCIDENTS });
+  const now = Date.now();
+  const known = new Set(incidents.map((i) => i.id));
+  stored.forEach((incident) => {
+    if (known.has(incident.id)) return;
+    if (incident.end == null) {
+      if (!current && now - incident.updatedAt < STALE_OPEN_INCIDENT_MS) {
+        current = incident;
+      } else {
+        incident.end = incident.updatedAt;
+        incident.duration = incident.end - incident.start;
+        persist(incident);
+      }
+    }
+    incidents.push(incident);
+  });
+  incidents.sort((a, b) => b.start - a.start);
+  if (incidents.length > MAX_INCIDENTS) incidents.splice(MAX_INCIDENTS);
+  notify();
+  return getIncidents();
+}
+
+/** Incidents newest first; open incident has `end: null`. */
+export function getIncidents() {
+  return incidents.map((i) => ({ ...i }));
+}
+
+export function getCurrentIncident() {
+  return current ? { ...current } : null;
+}
+
+export function onIncidentsChange(fn) {
+  listeners.push(fn);
+}
+
+export function offIncidentsChange(fn) {
+  const i = listeners.indexOf(fn);
+  if (i >= 0) listeners.splice(i, 1);
+}
+
+/**
+ * Replace the in-memory list with the leader tab's (not persisted: the leader
+ * already stored it). The open one becomes current in case this tab takes over.
+ */
+export function syncIncidents(list) {
+  incidents.splice(0, incidents.length, ...list.map((i) => ({ ...i })));
+  current = incidents.find((i) => i.end == null) || null;
+  notify(false);
+}
+
+export function bindIncidents(monitor) {
+  monitor.on('statusChange', (e) => {
+    if (monitor.isLeader()) handleStatusChange(e);
+  });
+  onTabMessage((msg) => {
+    if (msg.type === 'incidents' && !monitor.isLeader()) syncIncidents(msg.incidents);
+  });
+}
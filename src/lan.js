@@ -0,0 +1,185 @@
+/**
+ * Local-network reachability: tells a dead Wi-Fi/LAN apart from a router that
+ * is up but cut off from the ISP. Probes the likely gateway (derived from the
+ * LAN address in dashboard.js) and user-configured LAN hosts (router admin
+ * page, NAS) with image requests. Browsers hide why a cross-origin request
+ * failed, so only a loaded image proves the host is there and silence until
+ * the timeout means it is not. An error proves nothing: a refused connection,
+ * an unreachable host, mixed content and Local Network Access blocking all look
+ * alike, and how fast they fail depends on the device. Errors and guessed
+ * gateways that stay silent are inconclusive; without evidence the scope is
+ * reported as unknown.
+ */
+
+import { getLocalEthernetAndWifiIPs } from './dashboard.js';
+
+const LAN_HOSTS_KEY = 'conntivity-lan-hosts';
+const PROBE_TIMEOUT_MS = 2500;
+// When the LAN address is unknown (browsers may hide it behind an mDNS name).
+const COMMON_GATEWAYS = ['192.168.0.1', '192.168.1.1', '10.0.0.1'];
+
+export const FAILURE_SCOPE = {
+  LOCAL: 'local', // this device cannot reach the router
+  ISP: 'isp', // the router answers, nothing beyond it does
+  UPSTREAM: 'upstream', // the internet works; some services do not
+  UNKNOWN: 'unknown', // nothing answers and the local network could not be checked
+};
+
+const HOST_STATE = {
+  ALIVE: 'alive', // an image loaded
+  SILENT: 'silent', // no answer before the timeout
+  ERROR: 'error', // the request failed: says nothing about the host
+};
+
+export const FAILURE_SCOPE_LABELS = {
+  [FAILURE_SCOPE.LOCAL]: 'Local network',
+  [FAILURE_SCOPE.ISP]: 'Router/modem → ISP',
+  [FAILURE_SCOPE.UPSTREAM]: 'Upstream services',
+  [FAILURE_SCOPE.UNKNOWN]: 'Unknown (local network could not be checked)',
+};
+
+/** User-configured LAN hosts (URLs or bare addresses). */
+export function getLanHosts() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LAN_HOSTS_KEY) || '[]');
+    return Array.isArray(saved) ? saved.map(String) : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Save LAN hosts. Throws when an entry is neither a host nor an http(s) URL.
+ * @param {string[]} hosts
+ */
+export function setLanHosts(hosts) {
+  const list = hosts.map((h) => String(h).trim()).filter(Boolean);
+  list.forEach((h) => {
+    try {
+      const u = new URL(/^https?:\/\//i.test(h) ? h : `http://${h}`);
+      if (!u.hostname) throw new Error();
+    } catch (_) {
+      throw new Error(`"${h}" is not a host or URL.`);
+    }
+  });
+  localStorage.setItem(LAN_HOSTS_KEY, JSON.stringify(list));
+  return list;
+}
+
+function probeUrl(host) {
+  // A bare host is asked for its favicon: an admin page's root is HTML, which never loads as an image.
+  const base = /^https?:\/\//i.test(host) ? host : `https://${host}/favicon.ico`;
+  const u = new URL(base);
+  u.searchParams.set('t', String(Date.now()));
+  return u.toString();
+}
+
+/** Resolves to a HOST_STATE from how the image request settled. */
+function probeHost(host) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    let settled = false;
+    const done = (state) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      img.onload = img.onerror = null;
+      img.src = '';
+      resolve(state);
+    };
+    const timer = setTimeout(() => done(HOST_STATE.SILENT), PROBE_TIMEOUT_MS);
+    img.onload = () => done(HOST_STATE.ALIVE);
+    img.onerror = () => done(HOST_STATE.ERROR);
+    img.src = probeUrl(host);
+  });
+}
+
+/** Gateway guesses for the LAN subnet: .1 and .254 of the device's /24. */
+async function gatewayCandidates() {
+  let lanIP = null;
+  try {
+    ({ localLANIP: lanIP } = await getLocalEthernetAndWifiIPs());
+  } catch (_) {
+    // WebRTC unavailable
+  }
+  const m = lanIP && lanIP.match(/^(\d+\.\d+\.\d+)\.\d+$/);
+  if (!m) return { lanIP: null, gateways: COMMON_GATEWAYS, guessed: true };
+  return { lanIP, gateways: [`${m[1]}.1`, `${m[1]}.254`].filter((ip) => ip !== lanIP), guessed: false };
+}
+
+/**
+ * Probe the gateway candidates and configured LAN hosts in parallel.
+ * `unreachable` only lists hosts whose silence means something: configured
+ * hosts and gateways derived from the LAN address, not guessed ones.
+ * `inconclusive` lists hosts whose request failed without saying why.
+ * @returns {Promise<{ online: boolean, lanIP: string|null, reachable: string[], unreachable: string[],
+ *   inconclusive: string[] }>}
+ */
+export async function checkLocalNetwork() {
+  const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+  const { lanIP, gateways, guessed } = await gatewayCandidates();
+  const configured = getLanHosts();
+  const hosts = [...new Set([...configured, ...gateways])];
+  if (!online) return { online, lanIP, reachable: [], unreachable: hosts, inconclusive: [] };
+  const states = await Promise.all(hosts.map(probeHost));
+  const withState = (state) => hosts.filter((_, i) => states[i] === state);
+  return {
+    online,
+    lanIP,
+    reachable: withState(HOST_STATE.ALIVE),
+    unreachable: withState(HOST_STATE.SILENT).filter((h) => !guessed || configured.includes(h)),
+    inconclusive: withState(HOST_STATE.ERROR),
+  };
+}
+
+/**
+ * Where a failure sits, from the internet probe results and (when everything
+ * failed) the local-network check.
+ */
+export function classifyFailure({ allFailed, someFailed, lan }) {
+  if (!allFailed) return someFailed ? FAILURE_SCOPE.UPSTREAM : null;
+  if (!lan) return FAILURE_SCOPE.UNKNOWN;
+  if (lan.reachable.length) return FAILURE_SCOPE.ISP;
+  if (!lan.online || lan.unreachable.length) return FAILURE_SCOPE.LOCAL;
+  return FAILURE_SCOPE.UNKNOWN;
+}
+
+/** Troubleshooting tips tailored to the failure scope. */
+export function tipsForScope(scope, lan) {
+  if (scope === FAILURE_SCOPE.LOCAL) {
+    const checked = lan && lan.unreachable.length ? ` (no answer from ${lan.unreachable.join(', ')})` : '';
+    const tips = [
+      lan && !lan.online
+        ? 'This device reports no network connection — check that Wi‑Fi is on and connected, or that the cable is plugged in.'
+        : `This device cannot reach your router${checked} — the problem is between this device and the router.`,
+      'Turn Wi‑Fi off and on, move closer to the access point, or try a cable.',
+      'If other devices on the same network are also offline, restart the router.',
+    ];
+    if (lan && lan.online) {
+      tips.push('If your router uses another address, add it under Settings → Local network so it can be checked.');
+    }
+    return tips;
+  }
+  if (scope === FAILURE_SCOPE.ISP) {
+    return [
+      `Your router answers (${lan.reachable.join(', ')}) but nothing beyond it does — the problem is between the router/modem and your ISP.`,
+      'Check the modem’s status lights (Internet/WAN, DSL or Online); power cycle the modem, then the router, and wait a few minutes.',
+      'Check your ISP’s status page or app for outages in your area, and contact them if it continues.',
+    ];
+  }
+  if (scope === FAILURE_SCOPE.UNKNOWN) {
+    const failed = lan && lan.inconclusive.length ? ` (requests to ${lan.inconclusive.join(', ')} failed without saying why)` : '';
+    return [
+      `Nothing on the internet answers, and the router could not be checked from the browser${failed}.`,
+      'Check whether other devices on the same network are online: if they are not, restart the modem and router; if they are, reconnect this device’s Wi‑Fi or cable.',
+      'Add an image URL on your router (e.g. its logo or favicon) under Settings → Local network so it can be checked next time; http:// addresses may need to be opened once to be allowed.',
+    ];
+  }
+  if (scope === FAILURE_SCOPE.UPSTREAM) {
+    return [
+      'Some services are reachable and others aren’t — your connection works; specific sites or providers may be down.',
+      'Try a different website or app to see if the problem is limited to one service.',
+    ];
+  }
+  return [];
+}
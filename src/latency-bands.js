@@ -0,0 +1,143 @@
+/**
+ * Latency colour bands for the chart: good / fair / poor / bad, each with its
+ * own colour. The poor → bad boundary is the status engine's degraded latency
+ * threshold, so a red line always means "degraded"; the lower two boundaries
+ * are stored here. Presets suit typical link types (a 60 ms satellite or
+ * cross-continent link is not broken).
+ */
+
+import { getThresholds, setThresholds, onThresholdsChange } from './status.js';
+
+const BANDS_KEY = 'conntivity-latency-bands';
+
+export const LATENCY_BAND = {
+  GOOD: 'good',
+  FAIR: 'fair',
+  POOR: 'poor',
+  BAD: 'bad',
+};
+
+const BAND_LABELS = {
+  [LATENCY_BAND.GOOD]: 'Good',
+  [LATENCY_BAND.FAIR]: 'Fair',
+  [LATENCY_BAND.POOR]: 'Poor',
+  [LATENCY_BAND.BAD]: 'Bad',
+};
+
+export const DEFAULT_BAND_COLORS = {
+  [LATENCY_BAND.GOOD]: '#22d3ee',
+  [LATENCY_BAND.FAIR]: '#34d399',
+  [LATENCY_BAND.POOR]: '#fbbf24',
+  [LATENCY_BAND.BAD]: '#f87171',
+};
+
+/** Upper bounds in ms; `poorMs` becomes the degraded latency threshold. */
+export const BAND_PRESETS = [
+  { id: 'fibre', name: 'Fibre', goodMs: 20, fairMs: 50, poorMs: 150 },
+  { id: 'cable', name: 'Cable', goodMs: 30, fairMs: 70, poorMs: 200 },
+  { id: 'dsl', name: 'DSL', goodMs: 40, fairMs: 90, poorMs: 250 },
+  { id: '4g', name: '4G / LTE', goodMs: 60, fairMs: 120, poorMs: 350 },
+  { id: 'satellite', name: 'Satellite (geostationary)', goodMs: 650, fairMs: 800, poorMs: 1500 },
+];
+
+const DEFAULT_BANDS = { goodMs: 50, fairMs: 150, colors: DEFAULT_BAND_COLORS };
+
+let saved = loadBands();
+const listeners = [];
+
+function sanitizeColors(colors) {
+  const out = {};
+  Object.keys(DEFAULT_BAND_COLORS).forEach((band) => {
+    const c = colors && String(colors[band] || '');
+    out[band] = /^#[0-9a-f]{6}$/i.test(c) ? c : DEFAULT_BAND_COLORS[band];
+  });
+  return out;
+}
+
+function sanitizeBands(s) {
+  const goodMs = Number(s.goodMs);
+  const fairMs = Number(s.fairMs);
+  return {
+    goodMs: Number.isFinite(goodMs) && goodMs > 0 ? Math.round(goodMs) : DEFAULT_BANDS.goodMs,
+    fairMs: Number.isFinite(fairMs) && fairMs > 0 ? Math.round(fairMs) : DEFAULT_BANDS.fairMs,
+    colors: sanitizeColors(s.colors),
+  };
+}
+
+function loadBands() {
+  try {
+    return sanitizeBands(JSON.parse(localStorage.getItem(BANDS_KEY) || 'null') || {});
+  } catch (_) {
+    return sanitizeBands({});
+  }
+}
+
+function notify() {
+  const bands = getLatencyBands();
+  listeners.forEach((fn) => fn(bands));
+}
+
+/**
+ * The bands, best first. `maxMs` is exclusive; the last band has `maxMs: Infinity`.
+ * @returns {{ id: string, label: string, color: string, maxMs: number }[]}
+ */
+export function getLatencyBands() {
+  const { goodMs, fairMs, colors } = saved;
+  const poorMs = getThresholds().degradedLatencyMs;
+  // Boundaries saved before the degraded threshold was lowered are capped below it.
+  const fair = Math.min(fairMs, poorMs - 1);
+  const good = Math.min(goodMs, fair - 1);
+  return [
+    { id: LATENCY_BAND.GOOD, maxMs: good },
+    { id: LATENCY_BAND.FAIR, maxMs: fair },
+    { id: LATENCY_BAND.POOR, maxMs: poorMs },
+    { id: LATENCY_BAND.BAD, maxMs: Infinity },
+  ].map((b) => ({ ...b, label: BAND_LABELS[b.id], color: colors[b.id] }));
+}
+
+/** The band a round trip falls in. */
+export function bandFor(rtt, bands = getLatencyBands()) {
+  return bands.find((b) => rtt < b.maxMs) || bands[bands.length - 1];
+}
+
+/**
+ * Update and persist the band boundaries and colours. `poorMs` is saved as the
+ * degraded latency threshold. Throws unless good < fair < poor.
+ * @param {{ goodMs?: number, fairMs?: number, poorMs?: number, colors?: Object }} partial
+ */
+export function setLatencyBands(partial) {
+  const current = getLatencyBands();
+  const goodMs = Number(partial.goodMs ?? current[0].maxMs);
+  const fairMs = Number(partial.fairMs ?? current[1].maxMs);
+  const poorMs = Number(partial.poorMs ?? current[2].maxMs);
+  if (![goodMs, fairMs, poorMs].every((n) => Number.isFinite(n) && n > 0)) {
+    throw new Error('Band limits must be positive numbers.');
+  }
+  if (!(goodMs < fairMs && fairMs < poorMs)) throw new Error('Band limits must increase: good < fair < poor.');
+  saved = sanitizeBands({ goodMs, fairMs, colors: { ...saved.colors, ...(partial.colors || {}) } });
+  localStorage.setItem(BANDS_KEY, JSON.stringify(saved));
+  if (poorMs !== getThresholds().degradedLatencyMs) setThresholds({ degradedLatencyMs: poorMs });
+  else notify();
+  return getLatencyBands();
+}
+
+/** Apply one of BAND_PRESETS (colours are kept). */
+export function applyBandPreset(id) {
+  const preset = BAND_PRESETS.find((p) => p.id === id);
+  if (!preset) throw new Error('Unknown preset.');
+  return setLatencyBands(preset);
+}
+
+/** The preset matching the current limits, or null when they were customised. */
+export function getActivePreset() {
+  const [good, fair, poor] = getLatencyBands();
+  const preset = BAND_PRESETS.find((p) => p.goodMs === good.maxMs && p.fairMs === fair.maxMs && p.poorMs === poor.maxMs);
+  return preset ? preset.id : null;
+}
+
+export function onLatencyBandsChange(fn) {
+  listeners.push(fn);
+}
+
+// Editing the degraded threshold under Status thresholds moves the poor → bad boundary.
+onThresholdsChange(notify);
@@ -5,14 +5,41 @@
 import { inject } from '@vercel/analytics';
 import { injectSpeedInsights } from '@vercel/speed-insights';
 import * as monitor from './monitor.js';
-import { initUI, bindMonitor, initHeaderControls } from './ui.js';
+import { initStorage } from './storage.js';
+import { initTabs } from './tabs.js';
+import { bindIncidents, restoreIncidents } from './incidents.js';
+import { bindAlerts } from './alerts.js';
+import { bindWebhook } from './webhook.js';
+import {
+  initUI,
+  bindMonitor,
+  initHeaderControls,
+  initDataControls,
+  initSettings,
+  initStats,
+  initChartRange,
+} from './ui.js';
 
 inject();
 injectSpeedInsights();
 
 initUI();
 bindMonitor(monitor);
-initHeaderControls(monitor);
+bindIncidents(monitor);
+bindAlerts(monitor);
+bindWebhook(monitor);
+initDataControls(monitor);
+initSettings(monitor);
+Promise.all([initStorage(), initTabs()])
+  .then(() => Promise.all([monitor.restoreHistory(), restoreIncidents()]))
+  .then(() => Promise.all([initStats(monitor), initChartRange(monitor)]))
+  .catch(() => {})
+  .finally(() => initHeaderControls(monitor));
+
+// Cache the app shell so it opens (with stored history) while offline. Dev builds have no sw.js.
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => navigator.serviceWorker.register('/sw.js').catch(() => {}));
+}
 
 const buildTsEl = document.getElementById('build-timestamp');
 if (buildTsEl && typeof __BUILD_TIMESTAMP__ !== 'undefined') buildTsEl.textContent = __BUILD_TIMESTAMP__;
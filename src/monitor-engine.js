@@ -0,0 +1,407 @@
+/**
+ * Monitor engine: the probing loop, history and status engine. Polls
+ * CORS-enabled endpoints and tracks RTT; status comes from status.js.
+ * Sequential mode stops at the first endpoint that answers; parallel mode
+ * probes every endpoint each cycle and keeps per-endpoint history and up/down state.
+ * Cycles are scheduled by scheduler.js around the user's base interval; each
+ * sample records the interval chosen after it so time-based stats stay correct.
+ * Every probe result is persisted via storage.js and restored on startup, with
+ * its request's phase timing (DNS, TCP, TLS, request, TTFB, download; see resource-timing.js).
+ * Runs inside monitor-worker.js (or on the main thread as a fallback) and
+ * reports through the emitter set with `setEmitter`; it never touches localStorage
+ * or the DOM, so targets, thresholds and probe mode arrive through `configure`.
+ */
+
+import { saveProbe, loadProbes, isCycleRecord, saveAnnotation, loadAnnotations } from './storage.js';
+import { getTargets, applyTargets, onTargetsChange, checkResponse, cacheBustedUrl } from './targets.js';
+import { STATUS, REASON, evaluate, applyThresholds, getThresholds } from './status.js';
+import { DEFAULT_PROBE_BYTES, DEFAULT_SCHEDULE, nextDelay, sanitizeSchedule } from './scheduler.js';
+import { timingForUrl } from './resource-timing.js';
+
+const DEFAULT_PING_INTERVAL_MS = 5000;
+const HISTORY_SIZE = 600; // ~25 min at 2.5s
+const MAX_ANNOTATIONS = 200;
+const ENDPOINT_DOWN_AFTER_FAILURES = 3;
+
+export const PROBE_MODE = {
+  SEQUENTIAL: 'sequential',
+  PARALLEL: 'parallel',
+};
+
+const BYTES_SMOOTHING = 0.2; // EWMA weight of the latest cycle's transfer size
+
+let timerId = null;
+let loopGeneration = 0; // bumped by start/stop so an in-flight cycle from an old loop does not reschedule
+let baseIntervalMs = DEFAULT_PING_INTERVAL_MS;
+let schedule = { ...DEFAULT_SCHEDULE };
+let page = { hidden: false, lowBattery: false };
+let lastCycleAt = 0;
+let lastCycle = null; // inputs of the last scheduling decision, for rescheduling on settings changes
+let bytesPerCycle = null;
+let looping = false; // between startLoop and stopLoop
+let cycleRunning = false; // a cycle is in flight, possibly from a loop generation since restarted
+let probeAgain = false; // a network change or restart arrived mid-cycle: run the next cycle as soon as it ends
+let probeMode = PROBE_MODE.SEQUENTIAL;
+let emitter = () => {};
+const latencyHistory = [];
+const annotations = []; // network events: { time, kind, text }
+const endpointHistory = {}; // name -> [{ time, rtt }]
+const endpointState = {}; // name -> { up, since, consecutiveFailures, lastRtt }
+
+function emit(event, data) {
+  emitter(event, data);
+}
+
+/**
+ * Where engine events (statusChange, latencyUpdate, outageDetected, endpointUpdate, annotationsUpdate,
+ * scheduleUpdate) go.
+ */
+export function setEmitter(fn) {
+  emitter = fn;
+}
+
+/**
+ * One timed request to a target, with its response check applied.
+ * Also used outside the loop (e.g. latency under load in bufferbloat.js).
+ */
+export async function pingOne(target) {
+  const start = performance.now();
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), target.timeoutMs);
+  const url = cacheBustedUrl(target.url);
+  try {
+    const res = await fetch(url, {
+      method: target.method,
+      mode: 'cors',
+      cache: 'no-store',
+      signal: controller.signal,
+    });
+    const rtt = Math.round(performance.now() - start);
+    const check = await checkResponse(target, res);
+    // The timing entry is only written once the body has been read to the end.
+    if (!res.bodyUsed) await res.arrayBuffer().catch(() => null);
+    clearTimeout(timeout);
+    const timing = await timingForUrl(url);
+    if (!check.ok) {
+      return {
+        ok: false,
+        endpoint: target.name,
+        error: check.error,
+        failure: check.detail,
+        httpStatus: check.status,
+        timing,
+      };
+    }
+    return { ok: true, rtt, endpoint: target.name, httpStatus: check.status, timing };
+  } catch (e) {
+    clearTimeout(timeout);
+    const error = e && e.name === 'AbortError' ? REASON.TIMEOUT : REASON.NETWORK;
+    return { ok: false, endpoint: target.name, error };
+  }
+}
+
+/**
+ * Persist one endpoint attempt. The last attempt of each cycle is marked
+ * `final` and carries the resulting status, so history can be rebuilt from storage.
+ */
+function recordProbe(result, time, final = null) {
+  saveProbe({
+    time,
+    ok: result.ok,
+    endpoint: result.endpoint,
+    rtt: result.ok ? result.rtt : null,
+    error: result.error || null,
+    httpStatus: result.httpStatus ?? null,
+    failure: result.failure || null,
+    timing: result.timing || null,
+    final: Boolean(final),
+    ...(final
+      ? { status: final.status, reason: final.reason, detail: final.detail || null, interval: final.interval ?? null }
+      : {}),
+  });
+}
+
+function trackEndpoint(name, time, rtt) {
+  const list = endpointHistory[name] || (endpointHistory[name] = []);
+  list.push({ time, rtt });
+  if (list.length > HISTORY_SIZE) list.shift();
+  const state = endpointState[name] || (endpointState[name] = { up: null, since: time, consecutiveFailures: 0, lastRtt: null });
+  state.consecutiveFailures = rtt == null ? state.consecutiveFailures + 1 : 0;
+  if (rtt != null) state.lastRtt = rtt;
+  const up = rtt != null ? true : state.consecutiveFailures >= ENDPOINT_DOWN_AFTER_FAILURES ? false : state.up;
+  if (up !== state.up) {
+    state.up = up;
+    state.since = time;
+  }
+}
+
+/** Sequential: try endpoints in order until one answers. Returns the deciding result. */
+async function probeSequential(failures) {
+  const targets = getTargets();
+  let result = null;
+  for (const target of targets) {
+    result = await pingOne(target);
+    if (result.ok) break;
+    failures.push(result);
+    if (failures.length < targets.length) recordProbe(result, Date.now());
+  }
+  return result;
+}
+
+/** Parallel: probe every endpoint; the fastest success (or last failure) decides the cycle. */
+async function probeParallel(failures) {
+  const results = await Promise.all(getTargets().map(pingOne));
+  const time = Date.now();
+  const ok = results.filter((r) => r.ok).sort((a, b) => a.rtt - b.rtt);
+  const result = ok[0] || results[results.length - 1];
+  results.forEach((r) => {
+    trackEndpoint(r.endpoint, time, r.ok ? r.rtt : null);
+    if (!r.ok) failures.push(r);
+    if (r !== result) recordProbe(r, time);
+  });
+  emit('endpointUpdate', getEndpointSnapshot());
+  return result;
+}
+
+function trackBytes(result, attempts) {
+  const perRequest = (result.timing && result.timing.bytes) || DEFAULT_PROBE_BYTES;
+  const cycle = perRequest * attempts;
+  bytesPerCycle = bytesPerCycle == null ? cycle : bytesPerCycle + (cycle - bytesPerCycle) * BYTES_SMOOTHING;
+}
+
+function decide(input) {
+  lastCycle = input;
+  return nextDelay({
+    ...input,
+    baseMs: baseIntervalMs,
+    schedule,
+    page,
+    failuresForDisconnect: getThresholds().failuresForDisconnect,
+    bytesPerCycle,
+  });
+}
+
+/** One probe cycle. Returns the delay chosen before the next one. */
+async function ping() {
+  const failures = [];
+  const result = probeMode === PROBE_MODE.PARALLEL ? await probeParallel(failures) : await probeSequential(failures);
+  const failedEndpoints = failures.map((r) => r.endpoint);
+  // Any interception means the network answers but not as itself: report that over a plain failure.
+  const error = !result.ok && failures.some((r) => r.error === REASON.INTERCEPTED) ? REASON.INTERCEPTED : result.error;
+  trackBytes(result, probeMode === PROBE_MODE.PARALLEL ? getTargets().length : failures.length + (result.ok ? 1 : 0));
+
+  const sample = {
+    time: Date.now(),
+    rtt: result.ok ? result.rtt : null,
+    status: null,
+    reason: null,
+    timing: result.ok ? result.timing || null : null,
+  };
+  const state = evaluate({ rtt: sample.rtt, error });
+  const next = decide({ status: state.status, consecutiveFailures: state.consecutiveFailures, lastOk: result.ok });
+  sample.status = state.status;
+  sample.interval = next.delay;
+  if (state.changed) {
+    sample.reason = state.reason;
+    sample.detail = state.detail;
+  }
+  latencyHistory.push(sample);
+  if (latencyHistory.length > HISTORY_SIZE) latencyHistory.shift();
+  recordProbe(result, sample.time, sample);
+
+  if (!result.ok && state.status === STATUS.DISCONNECTED) {
+    emit('outageDetected', { consecutiveFailures: state.consecutiveFailures, failedEndpoints });
+  }
+  const history = [...latencyHistory];
+  emit('latencyUpdate', {
+    rtt: sample.rtt,
+    history,
+    timing: sample.timing,
+    failedEndpoints,
+    state,
+    schedule: next,
+  });
+  emit('statusChange', {
+    status: state.status,
+    reason: state.reason,
+    detail: state.detail,
+    changed: state.changed,
+    previous: state.previous,
+    lossPct: state.lossPct,
+    rtt: sample.rtt,
+    history,
+    failedEndpoints,
+  });
+  return next.delay;
+}
+
+function scheduleNext(delay, generation) {
+  if (generation !== loopGeneration) return;
+  clearTimeout(timerId);
+  timerId = setTimeout(() => cycle(generation), Math.max(0, lastCycleAt + delay - Date.now()));
+}
+
+async function cycle(generation) {
+  timerId = null;
+  cycleRunning = true;
+  lastCycleAt = Date.now();
+  let delay = baseIntervalMs;
+  try {
+    delay = await ping();
+  } catch (_) {
+    // storage or a response check failed: the loop carries on at the base interval
+  } finally {
+    cycleRunning = false;
+  }
+  if (probeAgain && looping) {
+    probeAgain = false;
+    cycle(loopGeneration);
+    return;
+  }
+  scheduleNext(delay, generation); // ignored when the loop was stopped or restarted meanwhile
+}
+
+/** Probe right away instead of waiting for the timer; mid-cycle, run another as soon as it ends. */
+function probeNow() {
+  if (!looping) return;
+  if (cycleRunning) {
+    probeAgain = true;
+    return;
+  }
+  clearTimeout(timerId);
+  cycle(loopGeneration);
+}
+
+/**
+ * Record a network event from the page (online/offline, connection, public IP, edge or VPN change)
+ * and probe immediately so the history shows what it did to connectivity.
+ * @param {{ time: number, kind: string, text: string }} annotation
+ */
+export function annotate(annotation) {
+  annotations.push(annotation);
+  if (annotations.length > MAX_ANNOTATIONS) annotations.shift();
+  saveAnnotation({ ...annotation });
+  emit('annotationsUpdate', [...annotations]);
+  probeNow();
+}
+
+export function getAnnotations() {
+  return [...annotations];
+}
+
+/** Re-plan the pending cycle after settings or page state change (e.g. the tab became visible). */
+function reschedule() {
+  if (!timerId || !lastCycle) return;
+  const next = decide(lastCycle);
+  scheduleNext(next.delay, loopGeneration);
+  emit('scheduleUpdate', next);
+}
+
+export function startLoop(intervalMs = DEFAULT_PING_INTERVAL_MS) {
+  stopLoop();
+  baseIntervalMs = intervalMs;
+  emit('statusChange', { status: STATUS.UNKNOWN, rtt: null, history: [...latencyHistory] });
+  looping = true;
+  // One cycle at a time: a restart mid-cycle starts the new loop when that cycle ends.
+  if (cycleRunning) probeAgain = true;
+  else cycle(loopGeneration);
+}
+
+export function stopLoop() {
+  loopGeneration++;
+  looping = false;
+  probeAgain = false;
+  clearTimeout(timerId);
+  timerId = null;
+}
+
+export function getLatencyHistory() {
+  return [...latencyHistory];
+}
+
+/**
+ * Per-endpoint history and up/down state (filled in parallel mode).
+ * @returns {{ name: string, up: boolean|null, since: number, lastRtt: number|null, history: { time: number, rtt: number|null }[] }[]}
+ */
+export function getEndpointSnapshot() {
+  return getTargets()
+    .filter((t) => endpointHistory[t.name])
+    .map((t) => ({
+      name: t.name,
+      ...endpointState[t.name],
+      history: [...endpointHistory[t.name]],
+    }));
+}
+
+/**
+ * Apply settings from the page. Each field is optional; probe mode takes effect
+ * on the next cycle, schedule and page state (`{ hidden, lowBattery }`) re-plan the pending one.
+ * @param {{ targets?: Object[], thresholds?: Object, probeMode?: string, schedule?: Object, page?: Object }} config
+ */
+export function configure({ targets, thresholds, probeMode: mode, schedule: nextSchedule, page: nextPage }) {
+  if (thresholds) applyThresholds(thresholds);
+  if (targets) applyTargets(targets);
+  if (nextSchedule || nextPage) {
+    if (nextSchedule) schedule = sanitizeSchedule(nextSchedule);
+    if (nextPage) page = { ...page, ...nextPage };
+    reschedule();
+  }
+  if (mode && Object.values(PROBE_MODE).includes(mode) && mode !== probeMode) {
+    probeMode = mode;
+    emit('endpointUpdate', getEndpointSnapshot());
+  }
+}
+
+onTargetsChange((targets) => {
+  const names = new Set(targets.map((t) => t.name));
+  Object.keys(endpointHistory).forEach((name) => {
+    if (names.has(name)) return;
+    delete endpointHistory[name];
+    delete endpointState[name];
+  });
+  emit('endpointUpdate', getEndpointSnapshot());
+});
+
+/**
+ * Turn stored or imported probe records into history samples: one per cycle,
+ * with `rtt: null` for failed cycles.
+ */
+export function probesToHistory(probes) {
+  return probes
+    .filter(isCycleRecord)
+    .map((p) => ({
+      time: p.time,
+      rtt: p.ok ? p.rtt : null,
+      status: p.status || null,
+      reason: p.reason || (p.ok ? null : p.error || null),
+      detail: p.detail || null,
+      interval: p.interval ?? null,
+      timing: p.ok ? p.timing || null : null,
+    }));
+}
+
+/**
+ * Load the most recent stored probe results into the in-memory history,
+ * so the chart shows what happened before a reload.
+ */
+export async function restoreHistory() {
+  const probes = await loadProbes({ limit: HISTORY_SIZE * getTargets().length });
+  const restored = probesToHistory(probes).slice(-HISTORY_SIZE);
+  const oldest = latencyHistory.length ? latencyHistory[0].time : Infinity;
+  latencyHistory.unshift(...restored.filter((p) => p.time < oldest));
+  if (latencyHistory.length > HISTORY_SIZE) latencyHistory.splice(0, latencyHistory.length - HISTORY_SIZE);
+  if (probeMode === PROBE_MODE.PARALLEL) {
+    probes
+      .filter((p) => p.time < oldest && p.endpoint)
+      .forEach((p) => trackEndpoint(p.endpoint, p.time, p.ok ? p.rtt : null));
+    emit('endpointUpdate', getEndpointSnapshot());
+  }
+  if (latencyHistory.length) {
+    const oldestNote = annotations.length ? annotations[0].time : Infinity;
+    const stored = await loadAnnotations({ since: latencyHistory[0].time });
+    annotations.unshift(...stored.filter((a) => a.time < oldestNote).map(({ id, ...a }) => a));
+    if (annotations.length > MAX_ANNOTATIONS) annotations.splice(0, annotations.length - MAX_ANNOTATIONS);
+    emit('annotationsUpdate', [...annotations]);
+  }
+  return [...latencyHistory];
+}
@@ -0,0 +1,50 @@
+/**
+ * Dedicated worker running the monitor engine, so hidden tabs keep accurate
+ * probe timing (main-thread timers are throttled there).
+ *
+ * In:  { type: 'configure', targets, thresholds, probeMode, schedule, page } (all optional)
+ *      { type: 'start', intervalMs } | { type: 'stop' }
+ *      { type: 'restore', id }
+ *      { type: 'annotate', annotation }
+ * Out: { type: 'ready' }
+ *      { type: 'event', event, data } for every engine event
+ *      { type: 'restored', id, history, endpoints, annotations }
+ */
+
+import {
+  setEmitter,
+  configure,
+  startLoop,
+  stopLoop,
+  restoreHistory,
+  getEndpointSnapshot,
+  annotate,
+  getAnnotations,
+} from './monitor-engine.js';
+
+setEmitter((event, data) => self.postMessage({ type: 'event', event, data }));
+
+self.onmessage = async (e) => {
+  const msg = e.data || {};
+  if (msg.type === 'configure') configure(msg);
+  else if (msg.type === 'start') startLoop(msg.intervalMs);
+  else if (msg.type === 'stop') stopLoop();
+  else if (msg.type === 'annotate') annotate(msg.annotation);
+  else if (msg.type === 'restore') {
+    let history = [];
+    try {
+      history = await restoreHistory();
+    } catch (_) {
+      // storage unavailable: start with an empty history
+    }
+    self.postMessage({
+      type: 'restored',
+      id: msg.id,
+      history,
+      endpoints: getEndpointSnapshot(),
+      annotations: getAnnotations(),
+    });
+  }
+};
+
+self.postMessage({ type: 'ready' });
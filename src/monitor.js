@@ -1,120 +1,196 @@
 /**
- * Fetch-based connectivity monitor. Polls CORS-enabled endpoints and tracks
- * RTT, success rate, and status (connected / degraded / disconnected).
+ * Fetch-based connectivity monitor, seen from the page. The probing loop,
+ * history and status engine (monitor-engine.js) run in a dedicated worker so
+ * hidden tabs keep accurate timing; this module forwards settings to it,
+ * mirrors its history and re-emits its events (statusChange, latencyUpdate,
+ * outageDetected, endpointUpdate). Without module worker support the engine
+ * runs on the main thread instead.
+ * With several tabs open only the leader (tabs.js) runs the engine; it relays
+ * its events to follower tabs, which mirror them and send settings changes back.
+ * Browser online/offline and network-change events trigger an immediate probe
+ * and are kept as annotations on the history.
  */
 
-const DEFAULT_PING_INTERVAL_MS = 5000;
-const PING_TIMEOUT_MS = 5000;
-const FAILURES_FOR_OUTAGE = 3;
-const DEGRADED_LATENCY_MS = 300;
-const HISTORY_SIZE = 600; // ~25 min at 2.5s
-
-const ENDPOINTS = [
-  { url: 'https://api.cloudflare.com/cdn-cgi/trace', name: 'Cloudflare' },
-  { url: 'https://httpbin.org/get', name: 'httpbin' },
-  { url: 'https://api.ipify.org?format=json', name: 'ipify' },
-];
-
-let intervalId = null;
-let consecutiveFailures = 0;
-const latencyHistory = [];
-const callbacks = { statusChange: [], latencyUpdate: [], outageDetected: [] };
-
-export const STATUS = {
-  CONNECTED: 'connected',
-  DEGRADED: 'degraded',
-  DISCONNECTED: 'disconnected',
-  UNKNOWN: 'unknown',
+import { getTargets, applyTargets, onTargetsChange } from './targets.js';
+import { STATUS, REASON, getThresholds, applyThresholds, onThresholdsChange } from './status.js';
+import { ROLE, getRole, onRoleChange, broadcast, onTabMessage } from './tabs.js';
+import { sanitizeSchedule } from './scheduler.js';
+import * as engine from './monitor-engine.js';
+import { ANNOTATION_KIND } from './network-identity.js';
+
+export { STATUS, REASON };
+export { PROBE_MODE, probesToHistory } from './monitor-engine.js';
+
+const PROBE_MODE_KEY = 'conntivity-probe-mode';
+const SCHEDULE_KEY = 'conntivity-schedule';
+const LOW_BATTERY_LEVEL = 0.2;
+const SNAPSHOT_TIMEOUT_MS = 1000; // follower gives up waiting for the leader's history
+
+let worker = null;
+let workerReady = false;
+let local = false; // engine running on the main thread
+let intervalMs = null; // null while stopped
+let probeMode =
+  localStorage.getItem(PROBE_MODE_KEY) === engine.PROBE_MODE.PARALLEL ? engine.PROBE_MODE.PARALLEL : engine.PROBE_MODE.SEQUENTIAL;
+let schedule = loadSchedule();
+let pageHidden = document.hidden;
+let remoteVisible = false; // a follower tab is on screen while this (leader) tab is hidden
+let lowBattery = false;
+let latencyHistory = [];
+let endpointSnapshot = [];
+let annotations = [];
+let lastConnection = readConnection();
+let followed = false; // this tab was a follower at some point
+let lastStatus = null; // latest statusChange, replayed to tabs that join
+let requestId = 0;
+const pendingRestores = new Map(); // id -> resolve
+const pendingSnapshots = [];
+const callbacks = {
+  statusChange: [],
+  latencyUpdate: [],
+  outageDetected: [],
+  endpointUpdate: [],
+  annotationsUpdate: [],
+  scheduleUpdate: [], // the pending cycle was re-planned (e.g. the tab was hidden)
+  roleChange: [],
 };
 
+function loadSchedule() {
+  try {
+    return sanitizeSchedule(JSON.parse(localStorage.getItem(SCHEDULE_KEY) || 'null') || {});
+  } catch (_) {
+    return sanitizeSchedule({});
+  }
+}
+
+function pageState() {
+  return { hidden: pageHidden && !remoteVisible, lowBattery };
+}
+
 function emit(event, data) {
   (callbacks[event] || []).forEach((fn) => fn(data));
 }
 
-function getResourceTiming() {
-  const entries = performance.getEntriesByType('resource');
-  const last = entries[entries.length - 1];
-  if (!last || !('domainLookupEnd' in last)) return null;
-  const dns = last.domainLookupEnd - last.domainLookupStart;
-  const connect = last.connectEnd - last.connectStart;
-  const ttfb = last.responseStart - last.requestStart;
-  const download = last.responseEnd - last.responseStart;
-  return { dns, connect, ttfb, download, total: last.responseEnd - last.requestStart };
+/** True unless another tab runs the monitor for us. */
+export function isLeader() {
+  return getRole() !== ROLE.FOLLOWER;
 }
 
-async function pingOne(endpoint) {
-  const start = performance.now();
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), PING_TIMEOUT_MS);
-  try {
-    await fetch(endpoint.url + (endpoint.url.includes('?') ? '&' : '?') + 't=' + Date.now(), {
-      mode: 'cors',
-      cache: 'no-store',
-      signal: controller.signal,
-    });
-    clearTimeout(timeout);
-    const rtt = Math.round(performance.now() - start);
-    return { ok: true, rtt, endpoint: endpoint.name, timing: getResourceTiming() };
-  } catch (e) {
-    clearTimeout(timeout);
-    return { ok: false, endpoint: endpoint.name };
-  }
+function mirror(event, data) {
+  if (event === 'latencyUpdate') latencyHistory = data.history;
+  else if (event === 'endpointUpdate') endpointSnapshot = data;
+  else if (event === 'annotationsUpdate') annotations = data;
+  else if (event === 'statusChange') lastStatus = data;
+  emit(event, data);
 }
 
-async function ping() {
-  for (const ep of ENDPOINTS) {
-    const result = await pingOne(ep);
-    if (result.ok) {
-      consecutiveFailures = 0;
-      latencyHistory.push({ time: Date.now(), rtt: result.rtt });
-      if (latencyHistory.length > HISTORY_SIZE) latencyHistory.shift();
-      emit('latencyUpdate', {
-        rtt: result.rtt,
-        history: [...latencyHistory],
-        timing: result.timing,
-      });
-      return;
-    }
+function handleEngineEvent(event, data) {
+  mirror(event, data);
+  broadcast({ type: 'event', event, data });
+}
+
+function handleMessage(msg) {
+  if (msg.type === 'ready') workerReady = true;
+  else if (msg.type === 'event') handleEngineEvent(msg.event, msg.data);
+  else if (msg.type === 'restored') {
+    const resolve = pendingRestores.get(msg.id);
+    pendingRestores.delete(msg.id);
+    latencyHistory = msg.history;
+    endpointSnapshot = msg.endpoints;
+    annotations = msg.annotations || [];
+    emit('annotationsUpdate', getAnnotations());
+    if (resolve) resolve([...latencyHistory]);
   }
-  consecutiveFailures++;
-  if (consecutiveFailures >= FAILURES_FOR_OUTAGE) {
-    emit('outageDetected', { consecutiveFailures });
+}
+
+function post(msg) {
+  if (local) {
+    // Targets and thresholds are shared with the engine here.
+    if (msg.type === 'configure') engine.configure({ probeMode: msg.probeMode, schedule: msg.schedule, page: msg.page });
+    else if (msg.type === 'start') engine.startLoop(msg.intervalMs);
+    else if (msg.type === 'stop') engine.stopLoop();
+    else if (msg.type === 'annotate') engine.annotate(msg.annotation);
+    return;
   }
-  emit('latencyUpdate', { rtt: null, history: [...latencyHistory], timing: null });
+  if (worker) worker.postMessage(msg);
+}
+
+function configMessage() {
+  return { type: 'configure', targets: getTargets(), thresholds: getThresholds(), probeMode, schedule, page: pageState() };
+}
+
+async function restoreLocal() {
+  latencyHistory = await engine.restoreHistory();
+  endpointSnapshot = engine.getEndpointSnapshot();
+  annotations = engine.getAnnotations();
+  return [...latencyHistory];
+}
+
+/** Run the engine on the main thread from now on. */
+function useLocalEngine() {
+  if (worker) worker.terminate();
+  worker = null;
+  local = true;
+  engine.setEmitter(handleEngineEvent);
+  post(configMessage());
+  pendingRestores.forEach((resolve) => restoreLocal().then(resolve, () => resolve([])));
+  pendingRestores.clear();
+  if (intervalMs != null) post({ type: 'start', intervalMs });
 }
 
-function computeStatus(rtt, history) {
-  if (rtt == null) return STATUS.DISCONNECTED;
-  const recent = history.slice(-30);
-  const successRate = recent.length / 30;
-  if (successRate < 0.7) return STATUS.DEGRADED;
-  if (rtt >= DEGRADED_LATENCY_MS) return STATUS.DEGRADED;
-  return STATUS.CONNECTED;
+function spawnWorker() {
+  workerReady = false;
+  try {
+    worker = new Worker(new URL('./monitor-worker.js', import.meta.url), { type: 'module' });
+  } catch (_) {
+    useLocalEngine();
+    return;
+  }
+  worker.onmessage = (e) => handleMessage(e.data || {});
+  worker.onerror = () => {
+    if (!workerReady) useLocalEngine(); // module workers unsupported or the script failed to load
+  };
+  post(configMessage());
 }
 
-function onLatencyUpdate(data) {
-  const status = computeStatus(data.rtt, data.history);
-  emit('statusChange', { status, rtt: data.rtt, history: data.history });
+function ensureStarted() {
+  if (isLeader() && !worker && !local) spawnWorker();
 }
 
-export function startMonitoring(intervalMs = DEFAULT_PING_INTERVAL_MS) {
-  if (intervalId) {
-    clearInterval(intervalId);
-    intervalId = null;
+export function startMonitoring(ms = 5000) {
+  if (!isLeader()) {
+    intervalMs = ms;
+    broadcast({ type: 'start', intervalMs });
+    return;
   }
-  emit('statusChange', { status: STATUS.UNKNOWN, rtt: null, history: [] });
-  if (!callbacks.latencyUpdate.includes(onLatencyUpdate)) callbacks.latencyUpdate.push(onLatencyUpdate);
-  ping();
-  intervalId = setInterval(ping, intervalMs);
+  ensureStarted();
+  intervalMs = ms;
+  post({ type: 'start', intervalMs });
 }
 
 export function stopMonitoring() {
-  if (intervalId) {
-    clearInterval(intervalId);
-    intervalId = null;
+  intervalMs = null;
+  if (isLeader()) post({ type: 'stop' });
+}
+
+/**
+ * Replace a stalled worker with a fresh one: history is reloaded from storage
+ * and probing resumes at the current interval. Resolves once history is back.
+ */
+export function restartMonitor() {
+  if (!isLeader()) return requestSnapshot();
+  if (local) {
+    if (intervalMs != null) post({ type: 'start', intervalMs });
+    return Promise.resolve([...latencyHistory]);
   }
-  const idx = callbacks.latencyUpdate.indexOf(onLatencyUpdate);
-  if (idx >= 0) callbacks.latencyUpdate.splice(idx, 1);
+  if (worker) worker.terminate();
+  worker = null;
+  pendingRestores.forEach((resolve) => resolve([...latencyHistory]));
+  pendingRestores.clear();
+  spawnWorker();
+  const restored = restoreHistory();
+  if (intervalMs != null) post({ type: 'start', intervalMs });
+  return restored;
 }
 
 export function on(event, fn) {
@@ -130,3 +206,220 @@ export function off(event, fn) {
 export function getLatencyHistory() {
   return [...latencyHistory];
 }
+
+/**
+ * Per-endpoint history and up/down state (filled in parallel mode), as last reported by the engine.
+ * @returns {{ name: string, up: boolean|null, since: number, lastRtt: number|null, history: { time: number, rtt: number|null }[] }[]}
+ */
+export function getEndpointSnapshot() {
+  return endpointSnapshot.map((e) => ({ ...e, history: [...e.history] }));
+}
+
+/** Network-event annotations (online/offline, connection, public IP, edge and VPN changes), oldest first. */
+export function getAnnotations() {
+  return [...annotations];
+}
+
+export function getProbeMode() {
+  return probeMode;
+}
+
+/**
+ * Switch between sequential and parallel probing (persisted). Takes effect on the next cycle.
+ */
+export function setProbeMode(mode) {
+  if (!Object.values(engine.PROBE_MODE).includes(mode)) return;
+  probeMode = mode;
+  localStorage.setItem(PROBE_MODE_KEY, mode);
+  if (isLeader()) post({ type: 'configure', probeMode });
+  else broadcast({ type: 'configure', probeMode });
+  emit('endpointUpdate', getEndpointSnapshot());
+}
+
+export function getSchedule() {
+  return { ...schedule };
+}
+
+/**
+ * Update adaptive scheduling settings (persisted): `{ adaptive, budgetMbPerHour }`.
+ */
+export function setSchedule(partial) {
+  schedule = sanitizeSchedule({ ...schedule, ...partial });
+  localStorage.setItem(SCHEDULE_KEY, JSON.stringify(schedule));
+  if (isLeader()) post({ type: 'configure', schedule });
+  else broadcast({ type: 'configure', schedule });
+  return getSchedule();
+}
+
+function updatePage() {
+  if (isLeader()) post({ type: 'configure', page: pageState() });
+  else broadcast({ type: 'configure', visible: !pageHidden });
+}
+
+function readConnection() {
+  const c = typeof navigator !== 'undefined' ? navigator.connection : null;
+  return c ? { type: c.type, effectiveType: c.effectiveType, downlink: c.downlink } : null;
+}
+
+/** Describe what changed between two connection snapshots; null when nothing worth noting did. */
+function describeConnectionChange(before, after) {
+  if (!before || !after) return null;
+  const parts = [];
+  if (after.type && before.type !== after.type) parts.push(`switched ${before.type || 'unknown'} → ${after.type}`);
+  if (after.effectiveType && before.effectiveType !== after.effectiveType) {
+    parts.push(`effectiveType ${before.effectiveType || '?'} → ${after.effectiveType}`);
+  }
+  // downlink is reported in coarse steps and moves constantly; only note a factor of 2 or more
+  const a = before.downlink;
+  const b = after.downlink;
+  if (a > 0 && b > 0 && Math.max(a, b) / Math.min(a, b) >= 2) parts.push(`downlink ${a} → ${b} Mbps`);
+  return parts.length ? parts.join(', ') : null;
+}
+
+/**
+ * Record a network event as an annotation (and probe right away). Leader only:
+ * every tab sees the same browser events and the same public IP.
+ */
+export function noteNetworkEvent(kind, text) {
+  if (!isLeader()) return;
+  post({ type: 'annotate', annotation: { time: Date.now(), kind, text } });
+}
+
+function watchNetwork() {
+  window.addEventListener('offline', () => noteNetworkEvent(ANNOTATION_KIND.OFFLINE, 'Browser went offline'));
+  window.addEventListener('online', () => noteNetworkEvent(ANNOTATION_KIND.ONLINE, 'Browser back online'));
+  const connection = navigator.connection;
+  if (!connection || typeof connection.addEventListener !== 'function') return;
+  connection.addEventListener('change', () => {
+    const next = readConnection();
+    const text = describeConnectionChange(lastConnection, next);
+    lastConnection = next;
+    if (text) noteNetworkEvent(ANNOTATION_KIND.NETWORK, text);
+  });
+}
+
+/** Follow tab visibility and battery so the scheduler can slow down. */
+function watchPage() {
+  document.addEventListener('visibilitychange', () => {
+    pageHidden = document.hidden;
+    updatePage();
+  });
+  if (typeof navigator.getBattery !== 'function') return;
+  navigator
+    .getBattery()
+    .then((battery) => {
+      const update = () => {
+        lowBattery = !battery.charging && battery.level <= LOW_BATTERY_LEVEL;
+        updatePage();
+      };
+      battery.addEventListener('levelchange', update);
+      battery.addEventListener('chargingchange', update);
+      update();
+    })
+    .catch(() => {});
+}
+
+/** Follower: ask the leader for its history and latest status. */
+function requestSnapshot() {
+  return new Promise((resolve) => {
+    const done = () => {
+      const i = pendingSnapshots.indexOf(done);
+      if (i >= 0) pendingSnapshots.splice(i, 1);
+      resolve([...latencyHistory]);
+    };
+    pendingSnapshots.push(done);
+    setTimeout(done, SNAPSHOT_TIMEOUT_MS);
+    broadcast({ type: 'hello' });
+  });
+}
+
+/**
+ * Load the most recent stored probe results into the engine's history,
+ * so the chart shows what happened before a reload.
+ */
+export function restoreHistory() {
+  if (!isLeader()) return requestSnapshot();
+  ensureStarted();
+  if (local) return restoreLocal();
+  const id = ++requestId;
+  return new Promise((resolve) => {
+    pendingRestores.set(id, resolve);
+    post({ type: 'restore', id });
+  });
+}
+
+onTargetsChange((targets) => {
+  if (!isLeader()) broadcast({ type: 'configure', targets });
+  else if (!local) post({ type: 'configure', targets });
+});
+
+onThresholdsChange((thresholds) => {
+  if (!isLeader()) broadcast({ type: 'configure', thresholds });
+  else if (!local) post({ type: 'configure', thresholds });
+});
+
+/** Leader: apply settings changed in a follower tab. */
+function applyRemoteConfig({ targets, thresholds, probeMode: mode, schedule: nextSchedule, visible }) {
+  if (nextSchedule) {
+    schedule = sanitizeSchedule(nextSchedule);
+    post({ type: 'configure', schedule });
+  }
+  if (visible !== undefined) {
+    remoteVisible = visible;
+    post({ type: 'configure', page: pageState() });
+  }
+  if (targets) applyTargets(targets); // forwarded to the engine by onTargetsChange
+  if (thresholds) {
+    applyThresholds(thresholds);
+    if (!local) post({ type: 'configure', thresholds });
+  }
+  if (mode && mode !== probeMode && Object.values(engine.PROBE_MODE).includes(mode)) {
+    probeMode = mode;
+    post({ type: 'configure', probeMode });
+  }
+}
+
+onTabMessage((msg) => {
+  if (isLeader()) {
+    if (msg.type === 'hello') {
+      broadcast({
+        type: 'snapshot',
+        history: latencyHistory,
+        endpoints: endpointSnapshot,
+        annotations,
+        status: lastStatus,
+        intervalMs,
+      });
+    } else if (msg.type === 'configure') {
+      applyRemoteConfig(msg);
+    } else if (msg.type === 'start' && msg.intervalMs !== intervalMs) {
+      startMonitoring(msg.intervalMs);
+    }
+    return;
+  }
+  if (msg.type === 'event') {
+    mirror(msg.event, msg.data);
+  } else if (msg.type === 'snapshot') {
+    latencyHistory = msg.history || [];
+    endpointSnapshot = msg.endpoints || [];
+    annotations = msg.annotations || [];
+    emit('annotationsUpdate', getAnnotations());
+    if (intervalMs == null) intervalMs = msg.intervalMs;
+    if (msg.status) mirror('statusChange', { ...msg.status, changed: false });
+    emit('endpointUpdate', getEndpointSnapshot());
+    [...pendingSnapshots].forEach((done) => done());
+  }
+});
+
+watchPage();
+watchNetwork();
+
+// A follower whose leader went away takes over: fresh engine, history from storage.
+onRoleChange((role) => {
+  emit('roleChange', role);
+  if (role === ROLE.FOLLOWER) followed = true;
+  if (role !== ROLE.LEADER || !followed || worker || local) return;
+  spawnWorker();
+  restoreHistory();
+  if (intervalMs != null) post({ type: 'start', intervalMs });
+});
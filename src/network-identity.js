@@ -0,0 +1,99 @@
+/**
+ * Network identity tracking: the public IP with its ASN/ISP, the Cloudflare
+ * edge (colo) serving this network and whether WARP/Gateway is on, compared
+ * with what was last seen. A new public IP (DHCP renewal, CGNAT pool), a
+ * different colo (routing change) or a VPN switching on or off becomes a
+ * network-event annotation: logged with the incidents and marked on the chart.
+ */
+
+const IDENTITY_KEY = 'conntivity-network-identity';
+
+/** Every kind of network-event annotation: browser events from monitor.js and the identity changes below. */
+export const ANNOTATION_KIND = {
+  OFFLINE: 'offline',
+  ONLINE: 'online',
+  NETWORK: 'network', // connection type / speed change
+  IP: 'ip',
+  COLO: 'colo',
+  VPN: 'vpn',
+};
+
+export const ANNOTATION_KINDS = Object.values(ANNOTATION_KIND);
+
+let last = loadIdentity();
+
+function loadIdentity() {
+  try {
+    return JSON.parse(localStorage.getItem(IDENTITY_KEY) || 'null');
+  } catch (_) {
+    return null;
+  }
+}
+
+/** WARP (`on` or `plus`) or Cloudflare Gateway in the path. */
+export function isVpnOn(info) {
+  return (info.warp != null && info.warp !== 'off') || info.gateway === 'on';
+}
+
+function describeNetwork(info) {
+  return info.asn ? `${info.asn}${info.isp ? ' ' + info.isp : ''}` : info.isp || null;
+}
+
+/** e.g. "WARP+", "WARP with Gateway" or "Cloudflare Gateway"; only meaningful when `isVpnOn`. */
+export function describeVpn(info) {
+  const warp = info.warp === 'plus' ? 'WARP+' : 'WARP';
+  if (info.gateway !== 'on') return warp;
+  return info.warp && info.warp !== 'off' ? `${warp} with Gateway` : 'Cloudflare Gateway';
+}
+
+/**
+ * Compare a fresh lookup with the last one seen and remember it.
+ * @param {{ publicIP: string|null, colo?: string|null, loc?: string|null, warp?: string|null, gateway?: string|null,
+ *   asn?: string|null, isp?: string|null }} info
+ * @returns {{ kind: string, text: string }[]} the changes, empty on the first lookup
+ */
+export function trackIdentity(info) {
+  if (!info || !info.publicIP) return [];
+  const previous = last;
+  // Lookups that fell back to ipify carry no trace fields: keep the last known ones.
+  const trace = info.colo ? info : previous || {};
+  const sameIP = previous && previous.publicIP === info.publicIP; // the ASN lookup may have failed this time
+  const current = {
+    time: Date.now(),
+    publicIP: info.publicIP,
+    asn: info.asn || (sameIP ? previous.asn : null),
+    isp: info.isp || (sameIP ? previous.isp : null),
+    colo: trace.colo || null,
+    loc: trace.loc || null,
+    warp: trace.warp || null,
+    gateway: trace.gateway || null,
+  };
+  last = current;
+  try {
+    localStorage.setItem(IDENTITY_KEY, JSON.stringify(current));
+  } catch (_) {
+    // storage full or disabled: changes are still noticed within this session
+  }
+  if (!previous) return [];
+
+  const changes = [];
+  if (previous.publicIP !== current.publicIP) {
+    const before = describeNetwork(previous);
+    const after = describeNetwork(current);
+    const isp = before && after && before !== after ? ` (${before} → ${after})` : after ? ` (${after})` : '';
+    changes.push({ kind: ANNOTATION_KIND.IP, text: `Public IP ${previous.publicIP} → ${current.publicIP}${isp}` });
+  }
+  if (previous.colo && current.colo && previous.colo !== current.colo) {
+    changes.push({ kind: ANNOTATION_KIND.COLO, text: `Cloudflare edge ${previous.colo} → ${current.colo}` });
+  }
+  if (previous.warp && current.warp && isVpnOn(previous) !== isVpnOn(current)) {
+    const text = isVpnOn(current) ? `${describeVpn(current)} switched on` : `${describeVpn(previous)} switched off`;
+    changes.push({ kind: ANNOTATION_KIND.VPN, text });
+  }
+  return changes;
+}
+
+/** The last identity seen (possibly from an earlier session). */
+export function getLastIdentity() {
+  return last ? { ...last } : null;
+}
@@ -0,0 +1,80 @@
+/**
+ * Resource Timing for individual probes. Every probe URL carries a unique
+ * cache-buster (see `cacheBustedUrl`), so its PerformanceResourceTiming entry
+ * is found by exact name rather than by guessing the newest entry. The buffer
+ * is enlarged and cleared when it fills so entries keep arriving however long
+ * the page stays open. Cross-origin servers must send Timing-Allow-Origin for
+ * the phases to be visible; without it only the total is known.
+ */
+
+const BUFFER_SIZE = 1000;
+const LOOKUP_ATTEMPTS = 5; // entries are queued a little after the response ends
+const LOOKUP_RETRY_MS = 20;
+
+/** Phases of one request, in order; together they add up to the total. */
+export const TIMING_PHASES = ['dns', 'tcp', 'tls', 'request', 'ttfb', 'download'];
+
+export const TIMING_PHASE_LABELS = {
+  dns: 'DNS',
+  tcp: 'TCP',
+  tls: 'TLS',
+  request: 'Request',
+  ttfb: 'TTFB',
+  download: 'Download',
+};
+
+let bufferManaged = false;
+
+/** Enlarge the resource timing buffer and clear it whenever it fills. */
+function manageTimingBuffer() {
+  if (bufferManaged || typeof performance === 'undefined' || !performance.setResourceTimingBufferSize) return;
+  bufferManaged = true;
+  performance.setResourceTimingBufferSize(BUFFER_SIZE);
+  // Probes look up their entry right after the response, so older entries are never needed.
+  performance.addEventListener('resourcetimingbufferfull', () => performance.clearResourceTimings());
+}
+
+const ms = (n) => Math.max(0, Math.round(n * 10) / 10);
+
+/**
+ * Phase durations of one entry, in ms. Phases are null when the server did not
+ * allow timing (no Timing-Allow-Origin); `total` and `bytes` may still be known.
+ * @returns {{ dns: number|null, tcp: number|null, tls: number|null, request: number|null, ttfb: number|null,
+ *   download: number|null, connect: number|null, total: number, bytes: number|null }}
+ */
+export function timingBreakdown(entry) {
+  const total = ms(entry.responseEnd - entry.startTime);
+  const bytes = entry.transferSize || null; // 0 without Timing-Allow-Origin or from cache
+  if (!entry.requestStart) {
+    return { dns: null, tcp: null, tls: null, request: null, ttfb: null, download: null, connect: null, total, bytes };
+  }
+  const tlsStart = entry.secureConnectionStart > 0 ? entry.secureConnectionStart : entry.connectEnd;
+  // A reused connection reports zeros (or fetchStart) here, which gives 0 ms DNS/TCP/TLS.
+  const connected = entry.connectEnd || entry.fetchStart;
+  return {
+    dns: ms(entry.domainLookupEnd - entry.domainLookupStart),
+    tcp: ms(tlsStart - entry.connectStart),
+    tls: ms(entry.connectEnd - tlsStart),
+    request: ms(entry.requestStart - connected), // queued before the request went out
+    ttfb: ms(entry.responseStart - entry.requestStart),
+    download: ms(entry.responseEnd - entry.responseStart),
+    connect: ms(entry.connectEnd - entry.connectStart), // TCP + TLS, as recorded before the split
+    total,
+    bytes,
+  };
+}
+
+/**
+ * Timing of the request made to exactly `url` (including its cache-buster),
+ * or null when the browser recorded none.
+ */
+export async function timingForUrl(url) {
+  if (typeof performance === 'undefined' || !performance.getEntriesByName) return null;
+  manageTimingBuffer();
+  for (let i = 0; i < LOOKUP_ATTEMPTS; i++) {
+    const entry = performance.getEntriesByName(url, 'resource').pop();
+    if (entry) return timingBreakdown(entry);
+    await new Promise((resolve) => setTimeout(resolve, LOOKUP_RETRY_MS));
+  }
+  return null;
+}
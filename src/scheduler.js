@@ -0,0 +1,74 @@
+/**
+ * Adaptive probe scheduling: picks the delay before the next probe cycle.
+ * Bursts from the first failure until an outage is confirmed or ruled out
+ * (and while a confirmed outage may be ending), slows down when the page is
+ * hidden or the battery is low, and never exceeds the bandwidth budget.
+ */
+
+import { STATUS } from './status.js';
+
+export const BURST_INTERVAL_MS = 500;
+export const MAX_INTERVAL_MS = 120000;
+const HIDDEN_FACTOR = 3;
+const LOW_BATTERY_FACTOR = 4;
+export const DEFAULT_PROBE_BYTES = 1500; // request + response headers and a small body, when Resource Timing has no size
+
+/** Why the scheduler chose its delay. */
+export const SCHEDULE_REASON = {
+  FIXED: 'fixed',
+  BASE: 'base',
+  CONFIRMING: 'confirming', // failures seen, outage not yet confirmed
+  RECOVERING: 'recovering', // probes answering again during an outage
+  HIDDEN: 'hidden',
+  LOW_BATTERY: 'lowBattery',
+  BUDGET: 'budget',
+};
+
+export const DEFAULT_SCHEDULE = {
+  adaptive: true,
+  budgetMbPerHour: 0, // 0 = no budget
+};
+
+export function sanitizeSchedule(s = {}) {
+  const budget = Number(s.budgetMbPerHour);
+  return {
+    adaptive: s.adaptive !== undefined ? Boolean(s.adaptive) : DEFAULT_SCHEDULE.adaptive,
+    budgetMbPerHour: Number.isFinite(budget) && budget > 0 ? budget : 0,
+  };
+}
+
+/**
+ * Delay before the next cycle.
+ * @param {{ baseMs: number, schedule: Object, page: { hidden: boolean, lowBattery: boolean },
+ *   status: string, consecutiveFailures: number, failuresForDisconnect: number, lastOk: boolean, bytesPerCycle: number }} input
+ * @returns {{ delay: number, reason: string }}
+ */
+export function nextDelay({ baseMs, schedule, page, status, consecutiveFailures, failuresForDisconnect, lastOk, bytesPerCycle }) {
+  let delay = baseMs;
+  let reason = SCHEDULE_REASON.FIXED;
+  if (schedule.adaptive) {
+    reason = SCHEDULE_REASON.BASE;
+    const down = status === STATUS.DISCONNECTED || status === STATUS.INTERCEPTED;
+    if (consecutiveFailures > 0 && consecutiveFailures < failuresForDisconnect && !down) {
+      delay = Math.min(baseMs, BURST_INTERVAL_MS);
+      reason = SCHEDULE_REASON.CONFIRMING;
+    } else if (down && lastOk) {
+      delay = Math.min(baseMs, BURST_INTERVAL_MS);
+      reason = SCHEDULE_REASON.RECOVERING;
+    } else if (page.lowBattery) {
+      delay = Math.max(baseMs, Math.min(baseMs * LOW_BATTERY_FACTOR, MAX_INTERVAL_MS));
+      reason = SCHEDULE_REASON.LOW_BATTERY;
+    } else if (page.hidden) {
+      delay = Math.max(baseMs, Math.min(baseMs * HIDDEN_FACTOR, MAX_INTERVAL_MS));
+      reason = SCHEDULE_REASON.HIDDEN;
+    }
+  }
+  if (schedule.budgetMbPerHour > 0) {
+    const floor = Math.ceil(((bytesPerCycle || DEFAULT_PROBE_BYTES) / (schedule.budgetMbPerHour * 1e6)) * 3600000);
+    if (floor > delay) {
+      delay = floor;
+      reason = SCHEDULE_REASON.BUDGET;
+    }
+  }
+  return { delay, reason };
+}
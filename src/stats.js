@@ -0,0 +1,148 @@
+/**
+ * Latency statistics over selectable windows: min/avg/max, percentiles,
+ * standard deviation, RFC 3550-style jitter and loss %. Every figure except
+ * min/max and jitter (which follows consecutive probes) is weighted by each
+ * sample's probe interval, i.e. it describes time rather than probe count, so
+ * bursts of fast probes during a suspected outage do not over-count it. Loss is
+ * also reported as lost time next to the raw probe count. Windows longer than
+ * the monitor's in-memory history are filled from storage and then kept
+ * current with live samples.
+ */
+
+import { probesToHistory } from './monitor.js';
+import { loadProbes } from './storage.js';
+
+export const STATS_WINDOWS = [
+  { key: '1m', label: '1 min', ms: 60 * 1000 },
+  { key: '10m', label: '10 min', ms: 10 * 60 * 1000 },
+  { key: '1h', label: '1 h', ms: 60 * 60 * 1000 },
+  { key: '24h', label: '24 h', ms: 24 * 60 * 60 * 1000 },
+];
+
+let windowSamples = [];
+let windowMs = 0;
+
+/**
+ * Weighted percentile of `{ value, weight }` entries sorted by value. Each value
+ * sits at the centre of its weight and the percentile is interpolated between
+ * neighbours; with equal weights this is the usual linear-interpolated percentile.
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  if (sorted.length === 1) return sorted[0].value;
+  const first = sorted[0].weight / 2;
+  const span = sorted.reduce((sum, e) => sum + e.weight, 0) - first - sorted[sorted.length - 1].weight / 2;
+  const target = (p / 100) * span;
+  let pos = 0; // centre of entry i, measured from the centre of the first
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const next = pos + sorted[i].weight / 2 + sorted[i + 1].weight / 2;
+    if (target <= next) {
+      const t = next > pos ? (target - pos) / (next - pos) : 0;
+      return sorted[i].value + (sorted[i + 1].value - sorted[i].value) * t;
+    }
+    pos = next;
+  }
+  return sorted[sorted.length - 1].value;
+}
+
+/**
+ * RFC 3550 interarrival jitter applied to RTT samples: J += (|D| - J) / 16,
+ * where D is the change in RTT between consecutive successful probes.
+ */
+export function jitter(rtts) {
+  let j = 0;
+  for (let i = 1; i < rtts.length; i++) {
+    j += (Math.abs(rtts[i] - rtts[i - 1]) - j) / 16;
+  }
+  return rtts.length > 1 ? j : null;
+}
+
+/**
+ * Time each sample stands for: its recorded interval, else the gap to the next
+ * sample (older records), else the previous sample's weight.
+ */
+function sampleWeights(samples) {
+  const weights = [];
+  samples.forEach((s, i) => {
+    if (s.interval > 0) weights.push(s.interval);
+    else if (i + 1 < samples.length) weights.push(Math.max(1, samples[i + 1].time - s.time));
+    else weights.push(i > 0 ? weights[i - 1] : 1);
+  });
+  return weights;
+}
+
+/**
+ * @param {{ time: number, rtt: number|null, interval?: number|null }[]} samples oldest first; rtt null = failed probe
+ */
+export function computeStats(samples) {
+  const rtts = samples.filter((s) => s.rtt != null).map((s) => s.rtt);
+  const count = samples.length;
+  const lost = count - rtts.length;
+  const weights = sampleWeights(samples);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const lostWeight = samples.reduce((sum, s, i) => sum + (s.rtt == null ? weights[i] : 0), 0);
+  const stats = {
+    count,
+    lost,
+    lossPct: count ? (lostWeight / totalWeight) * 100 : null, // share of time, not of probes
+    lostMs: lostWeight,
+    spanMs: totalWeight,
+    min: null,
+    avg: null,
+    max: null,
+    p50: null,
+    p95: null,
+    p99: null,
+    stdDev: null,
+    jitter: jitter(rtts),
+  };
+  if (rtts.length === 0) return stats;
+  const sorted = samples
+    .map((s, i) => ({ value: s.rtt, weight: weights[i] }))
+    .filter((e) => e.value != null)
+    .sort((a, b) => a.value - b.value);
+  const okWeight = totalWeight - lostWeight;
+  const avg = samples.reduce((sum, s, i) => sum + (s.rtt != null ? s.rtt * weights[i] : 0), 0) / okWeight;
+  stats.min = sorted[0].value;
+  stats.max = sorted[sorted.length - 1].value;
+  stats.avg = avg;
+  stats.p50 = percentile(sorted, 50);
+  stats.p95 = percentile(sorted, 95);
+  stats.p99 = percentile(sorted, 99);
+  stats.stdDev = Math.sqrt(
+    samples.reduce((sum, s, i) => sum + (s.rtt != null ? weights[i] * (s.rtt - avg) ** 2 : 0), 0) / okWeight
+  );
+  return stats;
+}
+
+/** Samples within `ms` of `now` (defaults to the newest sample's time). */
+export function samplesInWindow(samples, ms, now = samples.length ? samples[samples.length - 1].time : Date.now()) {
+  const since = now - ms;
+  let i = samples.length;
+  while (i > 0 && samples[i - 1].time >= since) i--;
+  return samples.slice(i);
+}
+
+/**
+ * Load stored samples for a live window so it can cover more than the
+ * in-memory history.
+ */
+export async function loadWindow(ms) {
+  windowMs = ms;
+  const probes = await loadProbes({ since: Date.now() - ms, cyclesOnly: true });
+  if (windowMs !== ms) return; // another window was selected meanwhile
+  windowSamples = probesToHistory(probes);
+}
+
+/**
+ * Merge the monitor's latest history into the loaded window and return stats for it.
+ * @param {Object[]} history monitor history, oldest first
+ */
+export function updateLiveStats(history) {
+  const lastTime = windowSamples.length ? windowSamples[windowSamples.length - 1].time : -Infinity;
+  history.forEach((s) => {
+    if (s.time > lastTime) windowSamples.push(s);
+  });
+  windowSamples = samplesInWindow(windowSamples, windowMs, Date.now());
+  return computeStats(windowSamples);
+}
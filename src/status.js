@@ -0,0 +1,215 @@
+/**
+ * Status engine: rolling window of every probe attempt with real loss %,
+ * consecutive-failure and latency thresholds, and hysteresis so the status
+ * does not flap. Getting worse is immediate; getting better needs
+ * `recoveryCount` consecutive samples that qualify for the better state.
+ */
+
+const THRESHOLDS_KEY = 'conntivity-status-thresholds';
+const MIN_ATTEMPTS_FOR_LOSS = 10; // a single early failure should not read as 33% loss
+
+export const STATUS = {
+  CONNECTED: 'connected',
+  DEGRADED: 'degraded',
+  DISCONNECTED: 'disconnected',
+  INTERCEPTED: 'intercepted', // captive portal or something rewriting responses
+  UNKNOWN: 'unknown',
+};
+
+/** Why a sample failed or why the status changed. */
+export const REASON = {
+  TIMEOUT: 'timeout',
+  NETWORK: 'network', // fetch rejected: CORS, DNS, refused, offline
+  HTTP_STATUS: 'status', // answered outside the target's expected status range
+  ASSERTION: 'assertion', // answered, but the body check failed
+  INTERCEPTED: 'intercepted', // redirected off-host or body not what the service sends
+  SLOW: 'slow',
+  LOSS: 'loss',
+  RECOVERED: 'recovered',
+};
+
+export const DEFAULT_THRESHOLDS = {
+  windowSize: 30, // attempts in the rolling window
+  degradedLossPct: 10, // loss % over the window at or above which we are degraded
+  degradedLatencyMs: 300,
+  failuresForDisconnect: 3, // consecutive failed attempts before disconnected
+  recoveryCount: 3, // consecutive qualifying samples before stepping back up
+};
+
+const FAILURE_LABELS = {
+  [REASON.TIMEOUT]: 'timeout',
+  [REASON.NETWORK]: 'network error',
+  [REASON.HTTP_STATUS]: 'bad HTTP status',
+  [REASON.ASSERTION]: 'content check failed',
+  [REASON.INTERCEPTED]: 'intercepted response',
+};
+
+const SEVERITY = {
+  [STATUS.UNKNOWN]: -1,
+  [STATUS.CONNECTED]: 0,
+  [STATUS.DEGRADED]: 1,
+  [STATUS.INTERCEPTED]: 2,
+  [STATUS.DISCONNECTED]: 3,
+};
+
+let thresholds = loadThresholds();
+let attempts = []; // true = success
+let status = STATUS.UNKNOWN;
+let reason = null;
+let consecutiveFailures = 0;
+let recoveryStreak = 0;
+let recoveryTarget = null;
+const listeners = [];
+
+function loadThresholds() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(THRESHOLDS_KEY) || 'null');
+    return sanitizeThresholds({ ...DEFAULT_THRESHOLDS, ...(saved || {}) });
+  } catch (_) {
+    return { ...DEFAULT_THRESHOLDS };
+  }
+}
+
+function sanitizeThresholds(t) {
+  const out = {};
+  Object.keys(DEFAULT_THRESHOLDS).forEach((key) => {
+    const n = Number(t[key]);
+    out[key] = Number.isFinite(n) && n > 0 ? n : DEFAULT_THRESHOLDS[key];
+  });
+  out.windowSize = Math.round(out.windowSize);
+  out.failuresForDisconnect = Math.round(out.failuresForDisconnect);
+  out.recoveryCount = Math.round(out.recoveryCount);
+  out.degradedLossPct = Math.min(100, out.degradedLossPct);
+  return out;
+}
+
+export function getThresholds() {
+  return { ...thresholds };
+}
+
+/**
+ * Update and persist thresholds (partial objects are merged).
+ */
+export function setThresholds(partial) {
+  applyThresholds({ ...thresholds, ...partial });
+  localStorage.setItem(THRESHOLDS_KEY, JSON.stringify(thresholds));
+  listeners.forEach((fn) => fn(getThresholds()));
+  return getThresholds();
+}
+
+/** Use thresholds without persisting them (the monitor worker gets them from the page). */
+export function applyThresholds(t) {
+  thresholds = sanitizeThresholds(t);
+  if (attempts.length > thresholds.windowSize) attempts = attempts.slice(-thresholds.windowSize);
+  return getThresholds();
+}
+
+export function onThresholdsChange(fn) {
+  listeners.push(fn);
+}
+
+function lossPct() {
+  if (attempts.length === 0) return 0;
+  return (attempts.filter((ok) => !ok).length / attempts.length) * 100;
+}
+
+/** The state the latest sample and window qualify for, ignoring hysteresis. */
+function candidateFor(rtt, error, loss) {
+  const t = thresholds;
+  if (consecutiveFailures >= t.failuresForDisconnect && error === REASON.INTERCEPTED) {
+    return {
+      status: STATUS.INTERCEPTED,
+      reason: REASON.INTERCEPTED,
+      detail: `${consecutiveFailures} consecutive probes answered by something other than the real service (captive portal?)`,
+    };
+  }
+  if (consecutiveFailures >= t.failuresForDisconnect) {
+    return {
+      status: STATUS.DISCONNECTED,
+      reason: error || REASON.NETWORK,
+      detail: `${consecutiveFailures} consecutive failed probes (${FAILURE_LABELS[error] || FAILURE_LABELS[REASON.NETWORK]})`,
+    };
+  }
+  if (attempts.length >= Math.min(MIN_ATTEMPTS_FOR_LOSS, t.windowSize) && loss >= t.degradedLossPct) {
+    return {
+      status: STATUS.DEGRADED,
+      reason: REASON.LOSS,
+      detail: `${Math.round(loss)}% loss over last ${attempts.length} probes (threshold ${t.degradedLossPct}%)`,
+    };
+  }
+  if (rtt != null && rtt >= t.degradedLatencyMs) {
+    return {
+      status: STATUS.DEGRADED,
+      reason: REASON.SLOW,
+      detail: `${rtt} ms round trip (threshold ${t.degradedLatencyMs} ms)`,
+    };
+  }
+  return { status: STATUS.CONNECTED, reason: null, detail: null };
+}
+
+/**
+ * Feed one probe cycle and get the resulting status.
+ * @param {{ rtt: number|null, error?: string|null }} sample rtt null = failed; error `intercepted` = captive portal
+ * @returns {{ status: string, reason: string|null, detail: string|null, changed: boolean, previous: string, lossPct: number, consecutiveFailures: number }}
+ */
+export function evaluate({ rtt, error = null }) {
+  const ok = rtt != null;
+  attempts.push(ok);
+  if (attempts.length > thresholds.windowSize) attempts.shift();
+  consecutiveFailures = ok ? 0 : consecutiveFailures + 1;
+  const loss = lossPct();
+  const candidate = candidateFor(rtt, error, loss);
+  const previous = status;
+  let detail = null;
+
+  if (status === STATUS.UNKNOWN || SEVERITY[candidate.status] > SEVERITY[status]) {
+    status = candidate.status;
+    reason = candidate.reason;
+    detail = candidate.detail;
+    recoveryStreak = 0;
+    recoveryTarget = null;
+  } else if (SEVERITY[candidate.status] < SEVERITY[status]) {
+    recoveryStreak++;
+    if (!recoveryTarget || SEVERITY[candidate.status] > SEVERITY[recoveryTarget.status]) recoveryTarget = candidate;
+    if (recoveryStreak >= thresholds.recoveryCount) {
+      status = recoveryTarget.status;
+      reason = recoveryTarget.status === STATUS.CONNECTED ? REASON.RECOVERED : recoveryTarget.reason;
+      detail =
+        recoveryTarget.status === STATUS.CONNECTED
+          ? `${recoveryStreak} consecutive good probes`
+          : recoveryTarget.detail;
+      recoveryStreak = 0;
+      recoveryTarget = null;
+    }
+  } else {
+    recoveryStreak = 0;
+    recoveryTarget = null;
+    // Same state: keep the current reason but refresh it when the cause shifts (e.g. slow → loss).
+    if (candidate.reason && candidate.reason !== reason) reason = candidate.reason;
+    detail = candidate.detail;
+  }
+
+  return {
+    status,
+    reason,
+    detail,
+    changed: status !== previous,
+    previous,
+    lossPct: loss,
+    consecutiveFailures,
+  };
+}
+
+export function getStatus() {
+  return { status, reason, lossPct: lossPct(), consecutiveFailures };
+}
+
+/** Forget the window and go back to unknown. */
+export function resetStatus() {
+  attempts = [];
+  status = STATUS.UNKNOWN;
+  reason = null;
+  consecutiveFailures = 0;
+  recoveryStreak = 0;
+  recoveryTarget = null;
+}
@@ -0,0 +1,339 @@
+/**
+ * IndexedDB persistence for probe results, incidents, network-event
+ * annotations, throughput test results and queued webhook events, so history
+ * survives reloads and monitor worker restarts. Old records are pruned against
+ * a configurable retention period on start and then hourly.
+ */
+
+const DB_NAME = 'conntivity';
+const DB_VERSION = 6;
+const PROBES_STORE = 'probes';
+const INCIDENTS_STORE = 'incidents';
+const WEBHOOK_STORE = 'webhookQueue';
+const ANNOTATIONS_STORE = 'annotations';
+const THROUGHPUT_STORE = 'throughput';
+
+const RETENTION_KEY = 'conntivity-retention-days';
+const DEFAULT_RETENTION_DAYS = 30;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 2000; // records per page when a whole store is read (exports)
+
+let dbPromise = null;
+let pruneIntervalId = null;
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** Open (and create/upgrade) the database. Resolves to null when IndexedDB is unavailable. */
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    let req;
+    try {
+      req = indexedDB.open(DB_NAME, DB_VERSION);
+    } catch (_) {
+      resolve(null);
+      return;
+    }
+    req.onupgradeneeded = (e) => {
+      const db = req.result;
+      if (e.oldVersion < 1) {
+        const probes = db.createObjectStore(PROBES_STORE, { keyPath: 'id', autoIncrement: true });
+        probes.createIndex('time', 'time');
+      }
+      if (e.oldVersion < 2) {
+        const incidents = db.createObjectStore(INCIDENTS_STORE, { keyPath: 'id' });
+        incidents.createIndex('time', 'start');
+      }
+      if (e.oldVersion < 3) {
+        const queue = db.createObjectStore(WEBHOOK_STORE, { keyPath: 'id', autoIncrement: true });
+        queue.createIndex('time', 'time');
+      }
+      if (e.oldVersion < 4) {
+        const annotations = db.createObjectStore(ANNOTATIONS_STORE, { keyPath: 'id', autoIncrement: true });
+        annotations.createIndex('time', 'time');
+      }
+      if (e.oldVersion < 5) {
+        const throughput = db.createObjectStore(THROUGHPUT_STORE, { keyPath: 'id', autoIncrement: true });
+        throughput.createIndex('time', 'time');
+      }
+      if (e.oldVersion < 6) {
+        // Incidents are pruned once they ended; open ones (end: null) are left out of this index.
+        req.transaction.objectStore(INCIDENTS_STORE).createIndex('end', 'end');
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    req.onerror = () => resolve(null);
+  });
+  return dbPromise;
+}
+
+async function addRecord(storeName, record) {
+  const db = await openDb();
+  if (!db) return null;
+  try {
+    const tx = db.transaction(storeName, 'readwrite');
+    return await requestToPromise(tx.objectStore(storeName).add(record));
+  } catch (_) {
+    return null;
+  }
+}
+
+async function putRecord(storeName, record) {
+  const db = await openDb();
+  if (!db) return null;
+  try {
+    const tx = db.transaction(storeName, 'readwrite');
+    return await requestToPromise(tx.objectStore(storeName).put(record));
+  } catch (_) {
+    return null;
+  }
+}
+
+async function deleteRecord(storeName, key) {
+  const db = await openDb();
+  if (!db) return false;
+  try {
+    const tx = db.transaction(storeName, 'readwrite');
+    await requestToPromise(tx.objectStore(storeName).delete(key));
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Read records from a store ordered by time.
+ * With `limit`, returns the newest `limit` records (still oldest first).
+ * With `filter`, only records it accepts are kept (and counted against `limit`).
+ */
+async function getRecords(storeName, { since = null, until = null, limit = null, filter = null } = {}) {
+  const db = await openDb();
+  if (!db) return [];
+  let range = null;
+  if (since != null && until != null) range = IDBKeyRange.bound(since, until);
+  else if (since != null) range = IDBKeyRange.lowerBound(since);
+  else if (until != null) range = IDBKeyRange.upperBound(until);
+  try {
+    const index = db.transaction(storeName, 'readonly').objectStore(storeName).index('time');
+    if (limit == null && !filter) return await requestToPromise(index.getAll(range));
+    return await new Promise((resolve, reject) => {
+      const out = [];
+      const req = index.openCursor(range, limit == null ? 'next' : 'prev');
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor || (limit != null && out.length >= limit)) {
+          resolve(limit == null ? out : out.reverse());
+          return;
+        }
+        if (!filter || filter(cursor.value)) out.push(cursor.value);
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Read a whole store page by page in key (insertion) order, awaiting
+ * `onPage(records)` for each, so the store is never held in memory at once.
+ */
+async function readPages(storeName, onPage) {
+  const db = await openDb();
+  if (!db) return;
+  let after = null;
+  for (;;) {
+    let page;
+    try {
+      const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+      page = await requestToPromise(store.getAll(after == null ? null : IDBKeyRange.lowerBound(after, true), PAGE_SIZE));
+    } catch (_) {
+      return;
+    }
+    if (!page.length) return;
+    await onPage(page);
+    if (page.length < PAGE_SIZE) return;
+    after = page[page.length - 1].id;
+  }
+}
+
+async function deleteRecordsBefore(storeName, cutoff, indexName = 'time') {
+  const db = await openDb();
+  if (!db) return 0;
+  try {
+    return await new Promise((resolve, reject) => {
+      let deleted = 0;
+      const tx = db.transaction(storeName, 'readwrite');
+      const req = tx.objectStore(storeName).index(indexName).openCursor(IDBKeyRange.upperBound(cutoff, true));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        cursor.delete();
+        deleted++;
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+      tx.oncomplete = () => resolve(deleted);
+      tx.onerror = () => reject(tx.error);
+    });
+  } catch (_) {
+    return 0;
+  }
+}
+
+export function getRetentionDays() {
+  const saved = Number(localStorage.getItem(RETENTION_KEY));
+  return saved > 0 ? saved : DEFAULT_RETENTION_DAYS;
+}
+
+export function setRetentionDays(days) {
+  const n = Number(days);
+  if (!(n > 0)) return;
+  localStorage.setItem(RETENTION_KEY, String(n));
+  pruneStorage();
+}
+
+/**
+ * Persist one probe result.
+ * @param {{ time: number, ok: boolean, endpoint: string, rtt: number|null, timing: Object|null }} probe
+ */
+export function saveProbe(probe) {
+  return addRecord(PROBES_STORE, probe);
+}
+
+/**
+ * Whether a stored probe ends a probe cycle (and so becomes a history sample).
+ * Parallel mode also stores one non-final record per endpoint.
+ */
+export function isCycleRecord(probe) {
+  return probe.final ?? (probe.ok && probe.rtt != null); // records from before `final` existed: successes only
+}
+
+/**
+ * Load stored probe results, oldest first.
+ * `cyclesOnly` skips the per-endpoint records that do not end a cycle.
+ * @param {{ since?: number, until?: number, limit?: number, cyclesOnly?: boolean }} [options]
+ */
+export function loadProbes({ cyclesOnly = false, ...options } = {}) {
+  return getRecords(PROBES_STORE, { ...options, filter: cyclesOnly ? isCycleRecord : null });
+}
+
+/** Page through every stored probe result (see readPages). */
+export function readProbePages(onPage) {
+  return readPages(PROBES_STORE, onPage);
+}
+
+/**
+ * Insert or update an incident (keyed by `id`).
+ * @param {{ id: number, start: number, end: number|null }} incident
+ */
+export function saveIncident(incident) {
+  return putRecord(INCIDENTS_STORE, incident);
+}
+
+/**
+ * Load stored incidents ordered by start time, oldest first.
+ * @param {{ since?: number, until?: number, limit?: number }} [options]
+ */
+export function loadIncidents(options) {
+  return getRecords(INCIDENTS_STORE, options);
+}
+
+/** Page through every stored incident (see readPages). */
+export function readIncidentPages(onPage) {
+  return readPages(INCIDENTS_STORE, onPage);
+}
+
+/**
+ * Persist a network-event annotation (online/offline, connection change).
+ * @param {{ time: number, kind: string, text: string }} annotation
+ */
+export function saveAnnotation(annotation) {
+  return addRecord(ANNOTATIONS_STORE, annotation);
+}
+
+/**
+ * Load stored annotations, oldest first.
+ * @param {{ since?: number, until?: number, limit?: number }} [options]
+ */
+export function loadAnnotations(options) {
+  return getRecords(ANNOTATIONS_STORE, options);
+}
+
+/** Page through every stored annotation (see readPages). */
+export function readAnnotationPages(onPage) {
+  return readPages(ANNOTATIONS_STORE, onPage);
+}
+
+/**
+ * Persist a finished throughput test.
+ * @param {{ time: number, downloadMbps: number|null, uploadMbps: number|null }} result
+ */
+export function saveThroughputResult(result) {
+  return addRecord(THROUGHPUT_STORE, result);
+}
+
+/**
+ * Load stored throughput test results, oldest first.
+ * @param {{ since?: number, until?: number, limit?: number }} [options]
+ */
+export function loadThroughputResults(options) {
+  return getRecords(THROUGHPUT_STORE, options);
+}
+
+/**
+ * Add an event to the durable webhook queue. Resolves to its id, or null when IndexedDB is unavailable.
+ * @param {{ time: number, attempts: number, nextAttemptAt: number }} event
+ */
+export function queueWebhookEvent(event) {
+  return addRecord(WEBHOOK_STORE, event);
+}
+
+/** Update a queued webhook event (e.g. its attempt count). */
+export function updateWebhookEvent(event) {
+  return putRecord(WEBHOOK_STORE, event);
+}
+
+/** Remove a delivered webhook event. */
+export function deleteWebhookEvent(id) {
+  return deleteRecord(WEBHOOK_STORE, id);
+}
+
+/** Queued webhook events, oldest first. */
+export function loadWebhookQueue() {
+  return getRecords(WEBHOOK_STORE);
+}
+
+/** Delete records of every store older than the retention period. Resolves to the number removed. */
+export async function pruneStorage() {
+  const cutoff = Date.now() - getRetentionDays() * DAY_MS;
+  let removed = await deleteRecordsBefore(INCIDENTS_STORE, cutoff, 'end'); // by end: long or open incidents stay
+  for (const store of [PROBES_STORE, WEBHOOK_STORE, ANNOTATIONS_STORE, THROUGHPUT_STORE]) {
+    removed += await deleteRecordsBefore(store, cutoff);
+  }
+  return removed;
+}
+
+/**
+ * Open the database, prune once and keep pruning hourly.
+ */
+export async function initStorage() {
+  await openDb();
+  await pruneStorage();
+  if (!pruneIntervalId) pruneIntervalId = setInterval(pruneStorage, PRUNE_INTERVAL_MS);
+}
@@ -0,0 +1,107 @@
+/**
+ * Service worker: keeps the app shell, built bundles (including the chart
+ * library and monitor worker) and web fonts cached so Conntivity loads while
+ * offline. Probe and API requests are never served from the cache.
+ * Built by the service-worker plugin in vite.config.js, which fills in the
+ * precache list and cache version.
+ */
+
+const PRECACHE_FILES = self.__PRECACHE_FILES__;
+const CACHE_VERSION = '__CACHE_VERSION__';
+const SHELL_CACHE = `conntivity-shell-${CACHE_VERSION}`;
+const FONT_CACHE = 'conntivity-fonts';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+const BYPASS_PATHS = ['/_vercel/'];
+const NAVIGATE_TIMEOUT_MS = 3000;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((k) => k.startsWith('conntivity-shell-') && k !== SHELL_CACHE).map((k) => caches.delete(k)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Network first so a deploy shows up on the next load; the cached shell when
+ * offline, or when the network has not answered within NAVIGATE_TIMEOUT_MS
+ * (a hanging network never fails on its own). A late response still refreshes the cache.
+ */
+async function navigate(request) {
+  const network = fetch(request).then(async (res) => {
+    if (res.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put('/', res.clone());
+    }
+    return res;
+  });
+  const cachedShell = () => caches.match('/', { cacheName: SHELL_CACHE });
+  let timer;
+  const slow = new Promise((resolve) => {
+    timer = setTimeout(resolve, NAVIGATE_TIMEOUT_MS);
+  });
+  try {
+    const res = await Promise.race([network, slow]);
+    if (res) return res;
+    const cached = await cachedShell();
+    if (!cached) return await network; // nothing cached yet: keep waiting
+    network.catch(() => {}); // still updates the cache if it answers late
+    return cached;
+  } catch (_) {
+    const cached = await cachedShell();
+    return cached || Response.error();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok || res.type === 'opaque') cache.put(request, res.clone());
+  return res;
+}
+
+/** Serve fonts from cache and refresh them in the background. */
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((res) => {
+      if (res.ok || res.type === 'opaque') cache.put(request, res.clone());
+      return res;
+    })
+    .catch(() => cached || Response.error());
+  return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  // Probes and API calls use no-store with a cache-busting query: always straight to the network.
+  if (request.method !== 'GET' || request.cache === 'no-store') return;
+  const url = new URL(request.url);
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(navigate(request));
+    return;
+  }
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+    return;
+  }
+  if (url.origin !== self.location.origin || url.search || BYPASS_PATHS.some((p) => url.pathname.startsWith(p))) return;
+  event.respondWith(cacheFirst(request, SHELL_CACHE));
+});
@@ -0,0 +1,85 @@
+/**
+ * Multi-tab coordination: one tab (the leader) runs the monitor and the others
+ * follow its events over a BroadcastChannel. Leadership is held as a Web Lock,
+ * so it passes to the next waiting tab as soon as the leader closes or crashes.
+ * Without BroadcastChannel or Web Locks every tab leads on its own.
+ */
+
+const CHANNEL_NAME = 'conntivity-tabs';
+const LOCK_NAME = 'conntivity-leader';
+
+export const ROLE = {
+  LEADER: 'leader',
+  FOLLOWER: 'follower',
+};
+
+let channel = null;
+let role = null;
+let initPromise = null;
+const roleListeners = [];
+const messageListeners = [];
+
+function setRole(next) {
+  if (next === role) return;
+  role = next;
+  roleListeners.forEach((fn) => fn(role));
+}
+
+/**
+ * Join the tab group. Resolves to this tab's first role.
+ */
+export function initTabs() {
+  if (initPromise) return initPromise;
+  initPromise = new Promise((resolve) => {
+    const locks = typeof navigator !== 'undefined' ? navigator.locks : null;
+    if (typeof BroadcastChannel === 'undefined' || !locks) {
+      setRole(ROLE.LEADER);
+      resolve(role);
+      return;
+    }
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (e) => messageListeners.forEach((fn) => fn(e.data || {}));
+    // Held until the tab goes away; the browser then hands the lock to the next waiting tab.
+    const lead = () => {
+      setRole(ROLE.LEADER);
+      resolve(role);
+      return new Promise(() => {});
+    };
+    locks
+      .request(LOCK_NAME, { ifAvailable: true }, (lock) => {
+        if (lock) return lead();
+        setRole(ROLE.FOLLOWER);
+        resolve(role);
+        locks.request(LOCK_NAME, lead);
+        return null;
+      })
+      .catch(() => {
+        setRole(ROLE.LEADER);
+        resolve(role);
+      });
+  });
+  return initPromise;
+}
+
+/** This tab's role; null until `initTabs` settles. */
+export function getRole() {
+  return role;
+}
+
+export function onRoleChange(fn) {
+  roleListeners.push(fn);
+}
+
+/** Send a message to every other tab. */
+export function broadcast(msg) {
+  if (!channel) return;
+  try {
+    channel.postMessage(msg);
+  } catch (_) {
+    // not cloneable or channel closed
+  }
+}
+
+export function onTabMessage(fn) {
+  messageListeners.push(fn);
+}
@@ -0,0 +1,266 @@
+/**
+ * Probe targets shared by the monitor and diagnostics. Each target has a URL,
+ * method, accepted HTTP status range, optional body assertion (keyword or
+ * JSON path) and its own timeout. Persisted in localStorage.
+ * Targets with a known response shape also detect captive portals and
+ * tampered responses: a redirect off-host or a body of the wrong shape.
+ */
+
+import { REASON } from './status.js';
+
+const TARGETS_KEY = 'conntivity-targets';
+const DEFAULT_TIMEOUT_MS = 5000;
+
+export const METHODS = ['GET', 'HEAD', 'POST'];
+
+export const ASSERTION = {
+  NONE: 'none',
+  KEYWORD: 'keyword',
+  JSON_PATH: 'jsonPath',
+};
+
+/** Known response bodies; anything else from these services means something in between answered. */
+export const SHAPE = {
+  NONE: 'none',
+  CLOUDFLARE_TRACE: 'cloudflareTrace', // key=value lines incl. ip= and ts=
+  IPIFY_JSON: 'ipifyJson', // { "ip": "..." }
+  HTTPBIN_JSON: 'httpbinJson', // { "url": "...", "headers": {...} }
+};
+
+export const DEFAULT_TARGETS = [
+  {
+    name: 'Cloudflare',
+    url: 'https://api.cloudflare.com/cdn-cgi/trace',
+    method: 'GET',
+    statusMin: 200,
+    statusMax: 299,
+    assertion: { type: ASSERTION.NONE, value: '', expected: '' },
+    shape: SHAPE.CLOUDFLARE_TRACE,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+  },
+  {
+    name: 'httpbin',
+    url: 'https://httpbin.org/get',
+    method: 'GET',
+    statusMin: 200,
+    statusMax: 299,
+    assertion: { type: ASSERTION.NONE, value: '', expected: '' },
+    shape: SHAPE.HTTPBIN_JSON,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+  },
+  {
+    name: 'ipify',
+    url: 'https://api.ipify.org?format=json',
+    method: 'GET',
+    statusMin: 200,
+    statusMax: 299,
+    assertion: { type: ASSERTION.NONE, value: '', expected: '' },
+    shape: SHAPE.IPIFY_JSON,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+  },
+];
+
+let targets = loadTargets();
+const listeners = [];
+let bustCounter = 0; // see cacheBustedUrl
+
+function loadTargets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TARGETS_KEY) || 'null');
+    if (Array.isArray(saved) && saved.length) return saved.map(normalizeTarget);
+  } catch (_) {
+    // fall through to defaults
+  }
+  return DEFAULT_TARGETS.map(normalizeTarget);
+}
+
+function normalizeTarget(t) {
+  const statusMin = Number(t.statusMin) || 200;
+  const statusMax = Number(t.statusMax) || 299;
+  const assertion = t.assertion || {};
+  return {
+    name: String(t.name || '').trim(),
+    url: String(t.url || '').trim(),
+    method: METHODS.includes(t.method) ? t.method : 'GET',
+    statusMin: Math.min(statusMin, statusMax),
+    statusMax: Math.max(statusMin, statusMax),
+    assertion: {
+      type: Object.values(ASSERTION).includes(assertion.type) ? assertion.type : ASSERTION.NONE,
+      value: String(assertion.value || ''),
+      expected: String(assertion.expected || ''),
+    },
+    shape: Object.values(SHAPE).includes(t.shape) ? t.shape : SHAPE.NONE,
+    timeoutMs: Number(t.timeoutMs) > 0 ? Number(t.timeoutMs) : DEFAULT_TIMEOUT_MS,
+  };
+}
+
+/**
+ * Check a list of targets. Returns a list of human-readable problems (empty = valid).
+ */
+export function validateTargets(list) {
+  const problems = [];
+  if (!list.length) problems.push('Add at least one target.');
+  const names = new Set();
+  list.forEach((t, i) => {
+    const label = t.name || `Target ${i + 1}`;
+    if (!t.name) problems.push(`${label}: name is required.`);
+    else if (names.has(t.name)) problems.push(`${label}: names must be unique.`);
+    names.add(t.name);
+    try {
+      const u = new URL(t.url);
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') problems.push(`${label}: URL must be http or https.`);
+    } catch (_) {
+      problems.push(`${label}: URL is not valid.`);
+    }
+    if (t.assertion.type !== ASSERTION.NONE && !t.assertion.value) {
+      problems.push(`${label}: assertion needs a keyword or JSON path.`);
+    }
+    if ((t.assertion.type !== ASSERTION.NONE || t.shape !== SHAPE.NONE) && t.method === 'HEAD') {
+      problems.push(`${label}: HEAD responses have no body to check.`);
+    }
+  });
+  return problems;
+}
+
+export function getTargets() {
+  return targets.map((t) => ({ ...t, assertion: { ...t.assertion } }));
+}
+
+/**
+ * Replace the target list (persisted). Throws with the validation problems when invalid.
+ */
+export function setTargets(list) {
+  const next = list.map(normalizeTarget);
+  const problems = validateTargets(next);
+  if (problems.length) throw new Error(problems.join(' '));
+  localStorage.setItem(TARGETS_KEY, JSON.stringify(next));
+  return applyTargets(next);
+}
+
+export function resetTargets() {
+  localStorage.removeItem(TARGETS_KEY);
+  return applyTargets(DEFAULT_TARGETS);
+}
+
+/**
+ * Use a target list without persisting it (the monitor worker has no
+ * localStorage and gets its targets from the page).
+ */
+export function applyTargets(list) {
+  targets = list.map(normalizeTarget);
+  listeners.forEach((fn) => fn(getTargets()));
+  return getTargets();
+}
+
+export function onTargetsChange(fn) {
+  listeners.push(fn);
+}
+
+/**
+ * Resolve a simple JSON path: `$.a.b[0].c`, `a.b.0.c` or `$['a']`.
+ * Returns undefined when any step is missing.
+ */
+export function resolveJsonPath(obj, path) {
+  const steps = path
+    .replace(/^\$\.?/, '')
+    .replace(/\[['"]?([^\]'"]+)['"]?\]/g, '.$1')
+    .split('.')
+    .filter(Boolean);
+  let cur = obj;
+  for (const step of steps) {
+    if (cur == null || typeof cur !== 'object' || !(step in cur)) return undefined;
+    cur = cur[step];
+  }
+  return cur;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    return undefined;
+  }
+}
+
+/** True when the body looks like what the service really sends. */
+export function matchesShape(shape, text) {
+  if (shape === SHAPE.CLOUDFLARE_TRACE) {
+    const lines = text.split('\n').filter((l) => l.trim());
+    return lines.length > 0 && lines.every((l) => /^[a-z_]+=/.test(l)) && /^ip=/m.test(text) && /^ts=/m.test(text);
+  }
+  if (shape === SHAPE.IPIFY_JSON) {
+    const data = parseJson(text);
+    return Boolean(data) && typeof data.ip === 'string';
+  }
+  if (shape === SHAPE.HTTPBIN_JSON) {
+    const data = parseJson(text);
+    return Boolean(data) && typeof data.url === 'string' && typeof data.headers === 'object';
+  }
+  return true;
+}
+
+/** A redirect that left the target's host: the classic captive portal answer. */
+function redirectedOffHost(target, res) {
+  if (res.type === 'opaqueredirect') return true;
+  if (!res.redirected || !res.url) return false;
+  try {
+    return new URL(res.url).host !== new URL(target.url).host;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Check a response's status and body against the target.
+ * @returns {Promise<{ ok: boolean, status: number, error: string|null, detail: string|null }>}
+ */
+export async function checkResponse(target, res) {
+  const status = res.status;
+  if (redirectedOffHost(target, res)) {
+    return { ok: false, status, error: REASON.INTERCEPTED, detail: `Redirected to ${res.url || 'another site'}` };
+  }
+  // An error page from the service itself (e.g. a 502) is an outage, not an interception.
+  if (status < target.statusMin || status > target.statusMax) {
+    return {
+      ok: false,
+      status,
+      error: REASON.HTTP_STATUS,
+      detail: `HTTP ${status} (expected ${target.statusMin}–${target.statusMax})`,
+    };
+  }
+  const shape = target.shape || SHAPE.NONE;
+  let text = null;
+  if (shape !== SHAPE.NONE && target.method !== 'HEAD') {
+    text = await res.text();
+    if (!matchesShape(shape, text)) {
+      const html = /<html|<!doctype/i.test(text);
+      const detail = html ? 'Got an HTML page instead of the expected response' : 'Response did not match the expected format';
+      return { ok: false, status, error: REASON.INTERCEPTED, detail };
+    }
+  }
+  const { type, value, expected } = target.assertion;
+  if (type === ASSERTION.NONE) return { ok: true, status, error: null, detail: null };
+  if (text == null) text = await res.text();
+  if (type === ASSERTION.KEYWORD) {
+    if (text.includes(value)) return { ok: true, status, error: null, detail: null };
+    return { ok: false, status, error: REASON.ASSERTION, detail: `Body does not contain "${value}"` };
+  }
+  const data = parseJson(text);
+  if (data === undefined) return { ok: false, status, error: REASON.ASSERTION, detail: 'Body is not JSON' };
+  const found = resolveJsonPath(data, value);
+  if (found === undefined) return { ok: false, status, error: REASON.ASSERTION, detail: `${value} is missing` };
+  if (expected && String(found) !== expected) {
+    const detail = `${value} is ${JSON.stringify(found)}, expected ${expected}`;
+    return { ok: false, status, error: REASON.ASSERTION, detail };
+  }
+  return { ok: true, status, error: null, detail: null };
+}
+
+/**
+ * Append a cache-busting parameter to a target URL. The counter keeps URLs made
+ * in the same millisecond apart, so each request has its own Resource Timing entry.
+ */
+export function cacheBustedUrl(url) {
+  bustCounter = (bustCounter + 1) % 1e6;
+  return url + (url.includes('?') ? '&' : '?') + 't=' + Date.now() + '.' + bustCounter;
+}
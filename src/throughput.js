@@ -0,0 +1,261 @@
+/**
+ * Download / upload throughput test. Each phase runs several parallel streams
+ * against a configurable endpoint (Cloudflare's speed test by default, or the
+ * local `npm run speed-server`) for a fixed duration, sampling Mbps as bytes
+ * arrive. Bytes moved during the warm-up are left out of the final figure so
+ * TCP slow start does not drag it down. Finished tests are stored in IndexedDB
+ * next to the latency history.
+ */
+
+import { cacheBustedUrl } from './targets.js';
+import { saveThroughputResult, loadThroughputResults } from './storage.js';
+
+const THROUGHPUT_KEY = 'conntivity-throughput';
+const SAMPLE_INTERVAL_MS = 250;
+const MB = 1e6;
+
+export const THROUGHPUT_PHASE = {
+  DOWNLOAD: 'download',
+  UPLOAD: 'upload',
+};
+
+export const DEFAULT_THROUGHPUT_SETTINGS = {
+  downloadUrl: 'https://speed.cloudflare.com/__down', // gets ?bytes=<payload size>
+  uploadUrl: 'https://speed.cloudflare.com/__up',
+  streams: 4,
+  downloadMb: 25, // per request; streams repeat requests until the phase ends
+  uploadMb: 10,
+  durationSec: 10, // per phase, including warm-up
+  warmupSec: 2,
+};
+
+let settings = loadSettings();
+let running = null; // AbortController of the test in progress
+
+function clamp(value, min, max, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+function sanitizeSettings(s) {
+  const d = DEFAULT_THROUGHPUT_SETTINGS;
+  const durationSec = Math.round(clamp(s.durationSec, 3, 60, d.durationSec));
+  return {
+    downloadUrl: String(s.downloadUrl || d.downloadUrl).trim(),
+    uploadUrl: String(s.uploadUrl || d.uploadUrl).trim(),
+    streams: Math.round(clamp(s.streams, 1, 16, d.streams)),
+    downloadMb: clamp(s.downloadMb, 0.1, 1000, d.downloadMb),
+    uploadMb: clamp(s.uploadMb, 0.1, 200, d.uploadMb),
+    durationSec,
+    warmupSec: Math.round(clamp(s.warmupSec, 0, durationSec - 1, d.warmupSec)),
+  };
+}
+
+function loadSettings() {
+  try {
+    return sanitizeSettings(JSON.parse(localStorage.getItem(THROUGHPUT_KEY) || 'null') || {});
+  } catch (_) {
+    return sanitizeSettings({});
+  }
+}
+
+function checkUrl(url, label) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch (_) {
+    throw new Error(`${label} URL is not valid.`);
+  }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') throw new Error(`${label} URL must be http or https.`);
+}
+
+export function getThroughputSettings() {
+  return { ...settings };
+}
+
+/**
+ * Update and persist throughput test settings. Throws on an invalid endpoint URL.
+ */
+export function setThroughputSettings(partial) {
+  const next = sanitizeSettings({ ...settings, ...partial });
+  checkUrl(next.downloadUrl, 'Download');
+  checkUrl(next.uploadUrl, 'Upload');
+  settings = next;
+  localStorage.setItem(THROUGHPUT_KEY, JSON.stringify(settings));
+  return getThroughputSettings();
+}
+
+export function resetThroughputSettings() {
+  settings = sanitizeSettings({});
+  localStorage.removeItem(THROUGHPUT_KEY);
+  return getThroughputSettings();
+}
+
+function downloadUrl(bytes) {
+  const u = new URL(settings.downloadUrl);
+  u.searchParams.set('bytes', String(bytes));
+  return cacheBustedUrl(u.toString());
+}
+
+/** One streamed download; counts bytes as chunks arrive. */
+async function downloadOnce(bytes, meter, signal) {
+  const res = await fetch(downloadUrl(bytes), { cache: 'no-store', mode: 'cors', signal });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const reader = res.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    meter.bytes += value.byteLength;
+  }
+}
+
+/** One upload; fetch cannot report request progress, so this uses XHR upload events. */
+function uploadOnce(payload, meter, signal) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    let sent = 0;
+    const abort = () => xhr.abort();
+    const done = (fn) => {
+      signal.removeEventListener('abort', abort);
+      fn();
+    };
+    xhr.upload.onprogress = (e) => {
+      meter.bytes += e.loaded - sent;
+      sent = e.loaded;
+    };
+    xhr.onload = () =>
+      done(() => (xhr.status >= 200 && xhr.status < 300 ? resolve() : reject(new Error(`HTTP ${xhr.status}`))));
+    xhr.onerror = () => done(() => reject(new Error('network error')));
+    xhr.onabort = () => done(() => reject(new DOMException('Aborted', 'AbortError')));
+    signal.addEventListener('abort', abort);
+    xhr.open('POST', cacheBustedUrl(settings.uploadUrl));
+    xhr.send(payload);
+  });
+}
+
+/**
+ * Run one phase: parallel streams repeating requests until the phase duration elapses.
+ * Resolves to the Mbps measured after warm-up; rejects if a stream fails.
+ */
+async function runPhase(phase, signal, onSample) {
+  const controller = new AbortController();
+  const stop = () => controller.abort();
+  signal.addEventListener('abort', stop);
+  const meter = { bytes: 0 };
+  const start = performance.now();
+  const warmupEnd = start + settings.warmupSec * 1000;
+  let warmup = settings.warmupSec > 0 ? null : { at: start, bytes: 0 };
+  let last = { at: start, bytes: 0 };
+  let failure = null;
+
+  const payloadBytes = Math.round((phase === THROUGHPUT_PHASE.DOWNLOAD ? settings.downloadMb : settings.uploadMb) * MB);
+  const payload = phase === THROUGHPUT_PHASE.UPLOAD ? new Blob([new Uint8Array(payloadBytes)]) : null;
+  const stream = async () => {
+    while (!controller.signal.aborted) {
+      try {
+        if (payload) await uploadOnce(payload, meter, controller.signal);
+        else await downloadOnce(payloadBytes, meter, controller.signal);
+      } catch (e) {
+        if (controller.signal.aborted) return;
+        failure = failure || e;
+        controller.abort();
+      }
+    }
+  };
+
+  const ticker = setInterval(() => {
+    const now = performance.now();
+    if (!warmup && now >= warmupEnd) warmup = { at: now, bytes: meter.bytes };
+    const mbps = ((meter.bytes - last.bytes) * 8) / ((now - last.at) * 1000);
+    last = { at: now, bytes: meter.bytes };
+    onSample({ elapsedMs: Math.round(now - start), mbps: Math.round(mbps * 100) / 100, warmup: now < warmupEnd });
+  }, SAMPLE_INTERVAL_MS);
+  const timer = setTimeout(stop, settings.durationSec * 1000);
+
+  await Promise.all(Array.from({ length: settings.streams }, stream));
+  clearInterval(ticker);
+  clearTimeout(timer);
+  signal.removeEventListener('abort', stop);
+
+  if (failure) throw new Error(`${phase === THROUGHPUT_PHASE.DOWNLOAD ? 'Download' : 'Upload'} failed: ${failure.message}`);
+  const from = warmup || { at: start, bytes: 0 };
+  const elapsed = performance.now() - from.at;
+  if (elapsed <= 0 || meter.bytes <= from.bytes) return null;
+  return Math.round((((meter.bytes - from.bytes) * 8) / (elapsed * 1000)) * 100) / 100;
+}
+
+/**
+ * Saturate one direction for the configured duration without recording a
+ * result, e.g. to measure latency under load. Resolves to the Mbps reached.
+ */
+export async function runLoad(phase, onSample = () => {}) {
+  if (running) throw new Error('A throughput test is already running.');
+  running = new AbortController();
+  try {
+    return await runPhase(phase, running.signal, onSample);
+  } finally {
+    running = null;
+  }
+}
+
+export function isThroughputRunning() {
+  return running !== null;
+}
+
+/** Abort the test or load in progress; a test resolves with `aborted: true` and is not stored. */
+export function stopThroughputTest() {
+  if (running) running.abort();
+}
+
+/**
+ * Run download then upload. `onProgress` gets `{ phase, elapsedMs, mbps, warmup }`
+ * for every sample and `{ phase, done: true, mbps }` when a phase finishes.
+ * @returns {Promise<{ time: number, downloadMbps: number|null, uploadMbps: number|null,
+ *   download: Object[], upload: Object[], streams: number, downloadUrl: string, uploadUrl: string,
+ *   aborted: boolean, error: string|null }>}
+ */
+export async function runThroughputTest(onProgress = () => {}) {
+  if (running) throw new Error('A throughput test is already running.');
+  running = new AbortController();
+  const { signal } = running;
+  const result = {
+    time: Date.now(),
+    downloadMbps: null,
+    uploadMbps: null,
+    download: [],
+    upload: [],
+    streams: settings.streams,
+    durationSec: settings.durationSec,
+    warmupSec: settings.warmupSec,
+    downloadUrl: settings.downloadUrl,
+    uploadUrl: settings.uploadUrl,
+    aborted: false,
+    error: null,
+  };
+  try {
+    for (const phase of [THROUGHPUT_PHASE.DOWNLOAD, THROUGHPUT_PHASE.UPLOAD]) {
+      const mbps = await runPhase(phase, signal, (sample) => {
+        result[phase].push(sample);
+        onProgress({ phase, ...sample });
+      });
+      if (signal.aborted) break;
+      result[phase + 'Mbps'] = mbps;
+      onProgress({ phase, done: true, mbps });
+    }
+  } catch (e) {
+    result.error = e.message;
+  } finally {
+    running = null;
+  }
+  result.aborted = signal.aborted;
+  if (!result.aborted && (result.downloadMbps != null || result.uploadMbps != null)) {
+    await saveThroughputResult({ ...result });
+  }
+  return result;
+}
+
+/** Stored results, newest first. */
+export async function getThroughputHistory(limit = 10) {
+  const results = await loadThroughputResults({ limit });
+  return results.reverse();
+}
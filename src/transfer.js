@@ -0,0 +1,391 @@
+/**
+ * Export / import of monitoring data. Exports stored probe results (successes,
+ * failures, DNS/connect/TTFB breakdowns) and incidents as JSON, JSONL or CSV
+ * (JSON and JSONL also carry network-event annotations); imports any of those
+ * back into a capture the UI can review.
+ */
+
+import { readProbePages, readIncidentPages, readAnnotationPages } from './storage.js';
+import { ANNOTATION_KIND, ANNOTATION_KINDS } from './network-identity.js';
+import { INCIDENT_TYPE } from './incidents.js';
+
+const FORMAT_NAME = 'conntivity';
+const FORMAT_VERSION = 1;
+
+export const EXPORT_FORMAT = {
+  JSON: 'json',
+  JSONL: 'jsonl',
+  CSV: 'csv',
+  INCIDENTS_CSV: 'incidents-csv',
+};
+
+const PROBE_CSV_COLUMNS = [
+  'time_iso',
+  'time_ms',
+  'ok',
+  'endpoint',
+  'rtt_ms',
+  'error',
+  'final',
+  'status',
+  'reason',
+  'interval_ms',
+  'dns_ms',
+  'connect_ms',
+  'tcp_ms',
+  'tls_ms',
+  'request_ms',
+  'ttfb_ms',
+  'download_ms',
+  'total_ms',
+];
+
+const INCIDENT_CSV_COLUMNS = [
+  'id',
+  'type',
+  'start_iso',
+  'start_ms',
+  'end_iso',
+  'end_ms',
+  'duration_ms',
+  'peak_latency_ms',
+  'failed_endpoints',
+  'endpoints_reached',
+  'suggestions',
+];
+
+const TIMING_KEYS = ['dns', 'connect', 'tcp', 'tls', 'request', 'ttfb', 'download', 'total'];
+
+function toIso(ms) {
+  return ms != null ? new Date(ms).toISOString() : '';
+}
+
+function roundOrEmpty(n) {
+  return typeof n === 'number' && Number.isFinite(n) ? String(Math.round(n)) : '';
+}
+
+function csvCell(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function csvRow(values) {
+  return values.map(csvCell).join(',') + '\n';
+}
+
+/** Minimal RFC 4180 parser: returns rows of string cells. */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+  return rows;
+}
+
+function probeToCsvRow(p) {
+  const t = p.timing || {};
+  return csvRow([
+    toIso(p.time),
+    p.time,
+    p.ok ? 'true' : 'false',
+    p.endpoint,
+    p.rtt != null ? p.rtt : '',
+    p.error || '',
+    p.final != null ? String(p.final) : '',
+    p.status || '',
+    p.reason || '',
+    p.interval != null ? p.interval : '',
+    ...TIMING_KEYS.map((k) => roundOrEmpty(t[k])),
+  ]);
+}
+
+function incidentToCsvRow(i) {
+  const diag = i.diagnostics || {};
+  return csvRow([
+    i.id,
+    i.type,
+    toIso(i.start),
+    i.start,
+    toIso(i.end),
+    i.end != null ? i.end : '',
+    i.duration != null ? i.duration : '',
+    i.peakLatency != null ? i.peakLatency : '',
+    (i.failedEndpoints || []).join('; '),
+    (diag.endpointsReached || []).join('; '),
+    (diag.suggestions || []).join(' | '),
+  ]);
+}
+
+function stripId(probe) {
+  const { id, ...rest } = probe;
+  return rest;
+}
+
+/**
+ * Append one store to `chunks` page by page, one string per page, so only a
+ * page of records is held at a time. `separator` goes between records.
+ */
+async function appendPages(chunks, readStorePages, toText, separator = '') {
+  let first = true;
+  await readStorePages((page) => {
+    chunks.push((first ? '' : separator) + page.map(toText).join(separator));
+    first = false;
+  });
+}
+
+/**
+ * Build an export file from everything in storage. Records are read in pages
+ * and the file is assembled from per-page chunks.
+ * @param {string} format One of EXPORT_FORMAT
+ * @returns {Promise<{ filename: string, blob: Blob }>}
+ */
+export async function buildExport(format) {
+  const exportedAt = Date.now();
+  const stamp = new Date(exportedAt).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  const meta = { format: FORMAT_NAME, version: FORMAT_VERSION, exportedAt };
+  const chunks = [];
+
+  if (format === EXPORT_FORMAT.JSON) {
+    const json = (record) => JSON.stringify(stripId(record));
+    chunks.push(JSON.stringify(meta).slice(0, -1) + ',"probes":['); // the meta object, left open for the arrays
+    await appendPages(chunks, readProbePages, json, ',');
+    chunks.push('],"incidents":[');
+    await appendPages(chunks, readIncidentPages, (i) => JSON.stringify(i), ',');
+    chunks.push('],"annotations":[');
+    await appendPages(chunks, readAnnotationPages, json, ',');
+    chunks.push(']}');
+    return { filename: `conntivity-${stamp}.json`, blob: new Blob(chunks, { type: 'application/json' }) };
+  }
+  if (format === EXPORT_FORMAT.JSONL) {
+    chunks.push(JSON.stringify({ kind: 'meta', ...meta }) + '\n');
+    await appendPages(chunks, readProbePages, (p) => JSON.stringify({ kind: 'probe', ...stripId(p) }) + '\n');
+    await appendPages(chunks, readIncidentPages, (i) => JSON.stringify({ kind: 'incident', ...i }) + '\n');
+    await appendPages(chunks, readAnnotationPages, (a) => JSON.stringify({ kind: 'annotation', ...stripId(a) }) + '\n');
+    return { filename: `conntivity-${stamp}.jsonl`, blob: new Blob(chunks, { type: 'application/x-ndjson' }) };
+  }
+  if (format === EXPORT_FORMAT.CSV) {
+    chunks.push(csvRow(PROBE_CSV_COLUMNS));
+    await appendPages(chunks, readProbePages, probeToCsvRow);
+    return { filename: `conntivity-probes-${stamp}.csv`, blob: new Blob(chunks, { type: 'text/csv' }) };
+  }
+  if (format === EXPORT_FORMAT.INCIDENTS_CSV) {
+    chunks.push(csvRow(INCIDENT_CSV_COLUMNS));
+    await appendPages(chunks, readIncidentPages, incidentToCsvRow);
+    return { filename: `conntivity-incidents-${stamp}.csv`, blob: new Blob(chunks, { type: 'text/csv' }) };
+  }
+  throw new Error('Unknown export format: ' + format);
+}
+
+/**
+ * Build an export and hand it to the browser as a download.
+ */
+export async function downloadExport(format) {
+  const { filename, blob } = await buildExport(format);
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function num(v) {
+  if (v === '' || v == null) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeProbe(p) {
+  const time = num(p.time);
+  if (time == null) return null;
+  const timing = p.timing && typeof p.timing === 'object' ? p.timing : null;
+  const probe = {
+    time,
+    ok: p.ok === true || p.ok === 'true',
+    endpoint: p.endpoint != null ? String(p.endpoint) : '',
+    rtt: num(p.rtt),
+    error: p.error || null,
+    timing,
+  };
+  if (p.final === false || p.final === 'false') probe.final = false;
+  if (p.final === true || p.final === 'true') {
+    probe.final = true;
+    probe.status = p.status || null;
+    probe.reason = p.reason || null;
+    probe.detail = p.detail || null;
+    probe.interval = num(p.interval);
+  }
+  return probe;
+}
+
+function normalizeIncident(i) {
+  const start = num(i.start);
+  if (start == null) return null;
+  const end = num(i.end);
+  return {
+    id: num(i.id) ?? start,
+    type: Object.values(INCIDENT_TYPE).includes(i.type) ? i.type : INCIDENT_TYPE.OUTAGE,
+    start,
+    end,
+    duration: end != null ? end - start : null,
+    updatedAt: end ?? start,
+    peakLatency: num(i.peakLatency),
+    failedEndpoints: Array.isArray(i.failedEndpoints) ? i.failedEndpoints.map(String) : [],
+    diagnostics: i.diagnostics && typeof i.diagnostics === 'object' ? i.diagnostics : null,
+  };
+}
+
+function normalizeAnnotation(a) {
+  const time = num(a.time);
+  if (time == null || !a.text) return null;
+  return { time, kind: ANNOTATION_KINDS.includes(a.kind) ? a.kind : ANNOTATION_KIND.NETWORK, text: String(a.text) };
+}
+
+function splitList(s, sep) {
+  return s ? s.split(sep).map((x) => x.trim()).filter(Boolean) : [];
+}
+
+function parseCsvCapture(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) throw new Error('Empty CSV file');
+  const header = rows[0].map((h) => h.trim());
+  const col = (row, name) => {
+    const idx = header.indexOf(name);
+    return idx >= 0 ? row[idx] : '';
+  };
+  const body = rows.slice(1);
+
+  if (header.includes('time_ms')) {
+    const probes = body.map((row) => {
+      const timing = {};
+      let hasTiming = false;
+      TIMING_KEYS.forEach((k) => {
+        const v = num(col(row, k + '_ms'));
+        timing[k] = v;
+        if (v != null) hasTiming = true;
+      });
+      return normalizeProbe({
+        time: col(row, 'time_ms'),
+        ok: col(row, 'ok'),
+        endpoint: col(row, 'endpoint'),
+        rtt: col(row, 'rtt_ms'),
+        error: col(row, 'error'),
+        final: col(row, 'final'),
+        status: col(row, 'status'),
+        reason: col(row, 'reason'),
+        interval: col(row, 'interval_ms'),
+        timing: hasTiming ? timing : null,
+      });
+    });
+    return { probes: probes.filter(Boolean), incidents: [], annotations: [] };
+  }
+
+  if (header.includes('start_ms')) {
+    const incidents = body.map((row) => {
+      const reached = splitList(col(row, 'endpoints_reached'), ';');
+      const suggestions = splitList(col(row, 'suggestions'), '|');
+      return normalizeIncident({
+        id: col(row, 'id'),
+        type: col(row, 'type'),
+        start: col(row, 'start_ms'),
+        end: col(row, 'end_ms'),
+        peakLatency: col(row, 'peak_latency_ms'),
+        failedEndpoints: splitList(col(row, 'failed_endpoints'), ';'),
+        diagnostics:
+          reached.length || suggestions.length
+            ? { time: null, endpointsReached: reached, latencyBreakdown: null, suggestions }
+            : null,
+      });
+    });
+    return { probes: [], incidents: incidents.filter(Boolean), annotations: [] };
+  }
+
+  throw new Error('CSV header not recognised');
+}
+
+function parseJsonlCapture(text) {
+  const probes = [];
+  const incidents = [];
+  const annotations = [];
+  text.split(/\r?\n/).forEach((line) => {
+    if (!line.trim()) return;
+    const { kind, ...record } = JSON.parse(line);
+    if (kind === 'probe') probes.push(normalizeProbe(record));
+    else if (kind === 'incident') incidents.push(normalizeIncident(record));
+    else if (kind === 'annotation') annotations.push(normalizeAnnotation(record));
+  });
+  return {
+    probes: probes.filter(Boolean),
+    incidents: incidents.filter(Boolean),
+    annotations: annotations.filter(Boolean),
+  };
+}
+
+function parseJsonCapture(text) {
+  const data = JSON.parse(text);
+  if (!data || data.format !== FORMAT_NAME) throw new Error('Not a Conntivity export');
+  return {
+    probes: (data.probes || []).map(normalizeProbe).filter(Boolean),
+    incidents: (data.incidents || []).map(normalizeIncident).filter(Boolean),
+    annotations: (data.annotations || []).map(normalizeAnnotation).filter(Boolean),
+  };
+}
+
+/**
+ * Parse an exported file (JSON, JSONL, probes CSV or incidents CSV).
+ * @returns {{ probes: Object[], incidents: Object[], annotations: Object[] }} probes and annotations
+ *   oldest first, incidents newest first
+ */
+export function parseImport(text, filename = '') {
+  const name = filename.toLowerCase();
+  const trimmed = text.trimStart();
+  let capture;
+  if (name.endsWith('.csv')) capture = parseCsvCapture(text);
+  else if (name.endsWith('.jsonl') || name.endsWith('.ndjson')) capture = parseJsonlCapture(text);
+  else if (name.endsWith('.json')) capture = parseJsonCapture(text);
+  else if (trimmed.startsWith('{"kind"')) capture = parseJsonlCapture(text);
+  else if (trimmed.startsWith('{')) capture = parseJsonCapture(text);
+  else capture = parseCsvCapture(text);
+  capture.probes.sort((a, b) => a.time - b.time);
+  capture.incidents.sort((a, b) => b.start - a.start);
+  capture.annotations.sort((a, b) => a.time - b.time);
+  return capture;
+}
+
+/**
+ * Read and parse a File chosen by the user.
+ */
+export async function importFile(file) {
+  const text = await file.text();
+  return { name: file.name, ...parseImport(text, file.name) };
+}
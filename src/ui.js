@@ -1,21 +1,91 @@
 /**
- * DOM updates: status light, latency, last-seen, diagnostics panel, chart, dashboard.
+ * DOM updates: status light, latency, last-seen, diagnostics panel, incident log, chart, stats, throughput test,
+ * DNS benchmark, dashboard.
  */
 
-import { STATUS } from './monitor.js';
-import { initChart, updateChart, resizeChart } from './chart.js';
-import { runDiagnostics } from './diagnostics.js';
+import { STATUS, PROBE_MODE, probesToHistory } from './monitor.js';
+import { getThresholds, setThresholds, onThresholdsChange } from './status.js';
 import {
-  syncTimeFromInternet,
+  LATENCY_BAND,
+  BAND_PRESETS,
+  getLatencyBands,
+  setLatencyBands,
+  applyBandPreset,
+  getActivePreset,
+  onLatencyBandsChange,
+} from './latency-bands.js';
+import { METHODS, ASSERTION, SHAPE, DEFAULT_TARGETS, getTargets, setTargets, resetTargets } from './targets.js';
+import {
+  initChart,
+  updateChart,
+  updateEndpointSeries,
+  resizeChart,
+  initThroughputChart,
+  updateThroughputChart,
+  initTimingChart,
+  updateTimingChart,
+  CHART_RANGES,
+  resetZoom,
+} from './chart.js';
+import { runDiagnostics, CAPTIVE_PORTAL_TIPS } from './diagnostics.js';
+import { TIMING_PHASES, TIMING_PHASE_LABELS } from './resource-timing.js';
+import {
+  startTimeSync,
+  onTimeSync,
+  CLOCK_WARN_OFFSET_MS,
   startClock,
   getLocalEthernetAndWifiIPs,
   getPublicIPAndInfo,
   getTimezoneString,
   getTimezoneDisplayString,
 } from './dashboard.js';
+import { getRetentionDays, setRetentionDays, loadProbes, loadAnnotations } from './storage.js';
+import { ANNOTATION_KIND, trackIdentity, isVpnOn, describeVpn } from './network-identity.js';
+import { INCIDENT_TYPE, attachDiagnostics, onIncidentsChange, getIncidents } from './incidents.js';
+import { downloadExport, importFile } from './transfer.js';
+import { SCHEDULE_REASON } from './scheduler.js';
+import { STATS_WINDOWS, computeStats, samplesInWindow, loadWindow, updateLiveStats } from './stats.js';
+import {
+  ALERT_RULE,
+  getAlertSettings,
+  setAlertSettings,
+  requestNotificationPermission,
+  notificationsSupported,
+  testAlert,
+} from './alerts.js';
+import {
+  getWebhookSettings,
+  setWebhookSettings,
+  parseHeaders,
+  formatHeaders,
+  sendTestEvent,
+  onWebhookQueueChange,
+} from './webhook.js';
+import {
+  THROUGHPUT_PHASE,
+  getThroughputSettings,
+  setThroughputSettings,
+  resetThroughputSettings,
+  runThroughputTest,
+  stopThroughputTest,
+  isThroughputRunning,
+  getThroughputHistory,
+} from './throughput.js';
+import { FAILURE_SCOPE_LABELS, getLanHosts, setLanHosts } from './lan.js';
+import { runBufferbloatTest, stopBufferbloatTest, getLastBufferbloat } from './bufferbloat.js';
+import {
+  PRESET_RESOLVERS,
+  DNSSEC_STATE,
+  NXDOMAIN_STATE,
+  getResolverSettings,
+  setResolverSettings,
+  runDnsBenchmark,
+  getLastDnsBenchmark,
+} from './dns-benchmark.js';
 
 const statusLight = document.getElementById('status-light');
 const statusText = document.getElementById('status-text');
+const statusReason = document.getElementById('status-reason');
 const latencyValue = document.getElementById('latency-value');
 const lastSeenEl = document.getElementById('last-seen');
 const diagnosticsSection = document.getElementById('diagnostics-section');
@@ -23,15 +93,36 @@ const diagnosticsBreakdown = document.getElementById('diagnostics-breakdown');
 const diagnosticsTips = document.getElementById('diagnostics-tips');
 const dashboardTime = document.getElementById('dashboard-time');
 const dashboardTimezone = document.getElementById('dashboard-timezone');
+const dashboardClockOffset = document.getElementById('dashboard-clock-offset');
 const dashboardLocalLanIP = document.getElementById('dashboard-local-lan-ip');
 const dashboardPublicIP = document.getElementById('dashboard-public-ip');
 const dashboardDns1 = document.getElementById('dashboard-dns1');
+const dashboardIsp = document.getElementById('dashboard-isp');
+const dashboardEdge = document.getElementById('dashboard-edge');
+const dashboardProtocol = document.getElementById('dashboard-protocol');
+const dashboardVpn = document.getElementById('dashboard-vpn');
+const incidentList = document.getElementById('incident-list');
+const reviewBanner = document.getElementById('review-banner');
+const reviewBannerText = document.getElementById('review-banner-text');
+const statsGrid = document.getElementById('stats-grid');
 
 let lastConnectedAt = null;
 let lastMonitorUpdateAt = 0;
+let probeIntervalMs = 5000; // interval chosen in the header
+let scheduledDelayMs = null; // delay the scheduler picked for the pending cycle
+let lastIdentityRefreshAt = 0;
+let reviewCapture = null; // imported capture shown instead of live data
+let statsWindow = STATS_WINDOWS[1];
+let chartRange = loadChartRangeSetting(); // { key } or { key: 'custom', from, to }
+let rangeSamples = []; // chart history for the selected range: stored samples plus live ones
+let rangeAnnotations = [];
+let rangeLoadId = 0;
 
 const GRAPH_WATCHDOG_INTERVAL_MS = 10000;
-const GRAPH_STALE_MS = 25000;
+const GRAPH_STALE_MARGIN_MS = 15000; // slack on top of the interval and the probe timeouts
+// Public IP / edge / VPN re-checked this often while connected (STUN plus rate-limited lookups), and after
+// reconnects and network changes.
+const IDENTITY_REFRESH_MS = 15 * 60 * 1000;
 
 function formatLastSeenTime(ms) {
   if (ms == null) return '—';
@@ -50,11 +141,21 @@ function setStatusText(status) {
     [STATUS.CONNECTED]: 'Connected',
     [STATUS.DEGRADED]: 'Degraded',
     [STATUS.DISCONNECTED]: 'Disconnected',
+    [STATUS.INTERCEPTED]: 'Captive portal / intercepted',
     [STATUS.UNKNOWN]: 'Checking…',
   };
   statusText.textContent = labels[status] || 'Checking…';
 }
 
+function setStatusReason(status, detail) {
+  if (!statusReason) return;
+  if (status === STATUS.UNKNOWN || !detail) {
+    statusReason.textContent = '';
+    return;
+  }
+  statusReason.textContent = `Since ${formatLastSeenTime(Date.now())}: ${detail}`;
+}
+
 function setLatency(rtt) {
   if (!latencyValue) return;
   latencyValue.textContent = rtt != null ? `${rtt} ms` : '— ms';
@@ -65,6 +166,27 @@ function setLastSeen(justConnected) {
   if (lastSeenEl) lastSeenEl.textContent = 'Last seen: ' + formatLastSeenTime(lastConnectedAt);
 }
 
+function formatDateTime(ms) {
+  return new Date(ms).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false,
+  });
+}
+
+function formatDuration(ms) {
+  const totalSec = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec % 3600) / 60);
+  const s = totalSec % 60;
+  if (h > 0) return `${h}h ${m}m ${s}s`;
+  if (m > 0) return `${m}m ${s}s`;
+  return `${s}s`;
+}
+
 function showDiagnostics(open) {
   if (!diagnosticsSection) return;
   if (open) diagnosticsSection.classList.remove('hidden');
@@ -77,13 +199,12 @@ function renderBreakdown(breakdown) {
     diagnosticsBreakdown.textContent = 'No timing data available.';
     return;
   }
-  const { dns, connect, ttfb, download, total } = breakdown;
+  // Breakdowns recorded before the TCP/TLS split only have `connect`.
+  const phases = breakdown.tcp != null ? TIMING_PHASES : ['dns', 'connect', 'ttfb', 'download'];
+  const labels = { ...TIMING_PHASE_LABELS, connect: 'Connect' };
   diagnosticsBreakdown.textContent = [
-    `DNS: ${Math.round(dns)} ms`,
-    `Connect: ${Math.round(connect)} ms`,
-    `TTFB: ${Math.round(ttfb)} ms`,
-    `Download: ${Math.round(download)} ms`,
-    `Total: ${Math.round(total)} ms`,
+    ...phases.filter((k) => breakdown[k] != null).map((k) => `${labels[k]}: ${Math.round(breakdown[k])} ms`),
+    `Total: ${Math.round(breakdown.total)} ms`,
   ].join('  ·  ');
 }
 
@@ -105,17 +226,143 @@ const DEFAULT_DISCONNECTED_TIPS = [
 ];
 
 function setAllIPsToDash() {
-  if (dashboardLocalLanIP) dashboardLocalLanIP.textContent = '—';
-  if (dashboardPublicIP) dashboardPublicIP.textContent = '—';
-  if (dashboardDns1) dashboardDns1.textContent = '—';
+  [dashboardLocalLanIP, dashboardPublicIP, dashboardDns1, dashboardIsp, dashboardEdge, dashboardProtocol, dashboardVpn]
+    .filter(Boolean)
+    .forEach((el) => (el.textContent = '—'));
+}
+
+function renderPublicInfo(info) {
+  if (dashboardPublicIP) dashboardPublicIP.textContent = info.publicIP || '—';
+  if (dashboardDns1) dashboardDns1.textContent = info.dns1 || '—';
+  if (dashboardIsp) dashboardIsp.textContent = [info.asn, info.isp].filter(Boolean).join(' ') || '—';
+  if (dashboardEdge) dashboardEdge.textContent = info.colo ? `${info.colo}${info.loc ? ` (${info.loc})` : ''}` : '—';
+  if (dashboardProtocol) {
+    // e.g. "http/3" and "TLSv1.3"
+    dashboardProtocol.textContent = [info.http && info.http.toUpperCase(), info.tls].filter(Boolean).join(' · ') || '—';
+  }
+  if (dashboardVpn) {
+    let vpn = '—';
+    if (info.warp) vpn = isVpnOn(info) ? `On (${describeVpn(info)})` : 'Off';
+    dashboardVpn.textContent = vpn;
+  }
 }
 
-async function refreshDashboardIPs() {
+/**
+ * Refresh the LAN and public details; in the leader tab, a changed public IP,
+ * Cloudflare edge or VPN state is recorded as a network event.
+ */
+async function refreshDashboardIPs(monitor) {
+  lastIdentityRefreshAt = Date.now();
   const { localLANIP } = await getLocalEthernetAndWifiIPs();
   const info = await getPublicIPAndInfo();
   if (dashboardLocalLanIP) dashboardLocalLanIP.textContent = localLANIP || '—';
-  if (dashboardPublicIP) dashboardPublicIP.textContent = info.publicIP || '—';
-  if (dashboardDns1) dashboardDns1.textContent = info.dns1 || '—';
+  renderPublicInfo(info);
+  if (monitor.isLeader()) trackIdentity(info).forEach(({ kind, text }) => monitor.noteNetworkEvent(kind, text));
+}
+
+const INCIDENT_LABELS = {
+  [INCIDENT_TYPE.OUTAGE]: 'Outage',
+  [INCIDENT_TYPE.INTERCEPTED]: 'Intercepted',
+  [INCIDENT_TYPE.DEGRADED]: 'Degraded',
+};
+
+function incidentRow(incident) {
+  const li = document.createElement('li');
+  li.className = 'incident incident-' + incident.type + (incident.end == null ? ' incident-open' : '');
+
+  const header = document.createElement('div');
+  header.className = 'incident-header';
+  const type = document.createElement('span');
+  type.className = 'incident-type';
+  type.textContent = INCIDENT_LABELS[incident.type] || incident.type;
+  const when = document.createElement('span');
+  when.className = 'incident-time';
+  when.textContent =
+    formatDateTime(incident.start) + ' → ' + (incident.end == null ? 'ongoing' : formatDateTime(incident.end));
+  const duration = document.createElement('span');
+  duration.className = 'incident-duration';
+  duration.textContent = formatDuration((incident.end ?? Date.now()) - incident.start);
+  header.append(type, when, duration);
+  li.appendChild(header);
+
+  const meta = document.createElement('div');
+  meta.className = 'incident-meta';
+  meta.textContent = [
+    'Peak: ' + (incident.peakLatency != null ? `${incident.peakLatency} ms` : '—'),
+    'Failed: ' + (incident.failedEndpoints.length ? incident.failedEndpoints.join(', ') : '—'),
+  ].join('  ·  ');
+  li.appendChild(meta);
+
+  if (incident.diagnostics) {
+    const details = document.createElement('details');
+    details.className = 'incident-diagnostics';
+    const summary = document.createElement('summary');
+    const reached = incident.diagnostics.endpointsReached;
+    const scope = incident.diagnostics.scope ? ` (${FAILURE_SCOPE_LABELS[incident.diagnostics.scope]})` : '';
+    summary.textContent =
+      `Diagnostics at ${formatLastSeenTime(incident.diagnostics.time)} — reached: ` +
+      (reached.length ? reached.join(', ') : 'none') +
+      scope;
+    details.appendChild(summary);
+    const tips = document.createElement('ul');
+    incident.diagnostics.suggestions.forEach((text) => {
+      const tip = document.createElement('li');
+      tip.textContent = text;
+      tips.appendChild(tip);
+    });
+    details.appendChild(tips);
+    li.appendChild(details);
+  }
+
+  return li;
+}
+
+const NETWORK_LABELS = {
+  [ANNOTATION_KIND.OFFLINE]: 'Offline',
+  [ANNOTATION_KIND.ONLINE]: 'Online',
+  [ANNOTATION_KIND.NETWORK]: 'Network change',
+  [ANNOTATION_KIND.IP]: 'Public IP change',
+  [ANNOTATION_KIND.COLO]: 'Edge change',
+  [ANNOTATION_KIND.VPN]: 'VPN change',
+};
+
+function networkRow(annotation) {
+  const li = document.createElement('li');
+  li.className = 'incident incident-network';
+  const header = document.createElement('div');
+  header.className = 'incident-header';
+  const type = document.createElement('span');
+  type.className = 'incident-type';
+  type.textContent = NETWORK_LABELS[annotation.kind] || NETWORK_LABELS[ANNOTATION_KIND.NETWORK];
+  const when = document.createElement('span');
+  when.className = 'incident-time';
+  when.textContent = formatDateTime(annotation.time);
+  header.append(type, when);
+  li.appendChild(header);
+  const meta = document.createElement('div');
+  meta.className = 'incident-meta';
+  meta.textContent = annotation.text;
+  li.appendChild(meta);
+  return li;
+}
+
+/** Incidents and browser network events, newest first. */
+function renderIncidents(incidents, annotations = []) {
+  if (!incidentList) return;
+  incidentList.innerHTML = '';
+  if (!incidents.length && !annotations.length) {
+    const li = document.createElement('li');
+    li.className = 'incident-empty';
+    li.textContent = 'No incidents recorded.';
+    incidentList.appendChild(li);
+    return;
+  }
+  const rows = [
+    ...incidents.map((incident) => ({ time: incident.start, render: () => incidentRow(incident) })),
+    ...annotations.map((annotation) => ({ time: annotation.time, render: () => networkRow(annotation) })),
+  ];
+  rows.sort((a, b) => b.time - a.time);
+  rows.forEach((row) => incidentList.appendChild(row.render()));
 }
 
 async function runAndShowDiagnostics() {
@@ -124,7 +371,12 @@ async function runAndShowDiagnostics() {
   diagnosticsTips.innerHTML = '';
   try {
     const result = await runDiagnostics();
+    attachDiagnostics(result);
     renderBreakdown(result.latencyBreakdown);
+    if (result.scope) {
+      const area = `Problem area: ${FAILURE_SCOPE_LABELS[result.scope]}`;
+      diagnosticsBreakdown.textContent = `${area}  ·  ${diagnosticsBreakdown.textContent}`;
+    }
     renderTips(result.suggestions);
   } catch (e) {
     renderBreakdown(null);
@@ -132,40 +384,115 @@ async function runAndShowDiagnostics() {
   }
 }
 
+/**
+ * How long without an update before the monitor counts as stalled: the delay
+ * the scheduler chose (it backs off well past the interval when hidden, on
+ * low battery or over budget) plus a sequential cycle in which every target times out.
+ */
+function staleAfterMs() {
+  const cycleTimeoutMs = getTargets().reduce((sum, t) => sum + t.timeoutMs, 0);
+  return (scheduledDelayMs ?? probeIntervalMs) + cycleTimeoutMs + GRAPH_STALE_MARGIN_MS;
+}
+
 export function bindMonitor(monitor) {
   lastMonitorUpdateAt = Date.now();
-  monitor.on('statusChange', ({ status, rtt, history }) => {
+  onIncidentsChange((incidents) => {
+    if (!reviewCapture) renderIncidents(incidents, monitor.getAnnotations());
+  });
+  monitor.on('annotationsUpdate', (annotations) => {
+    if (reviewCapture) return;
+    renderIncidents(getIncidents(), annotations);
+    renderChart(monitor);
+  });
+  monitor.on('statusChange', ({ status, changed, detail, rtt, history }) => {
     lastMonitorUpdateAt = Date.now();
     setStatusLight(status);
     setStatusText(status);
+    if (changed || status === STATUS.UNKNOWN) setStatusReason(status, detail);
     setLatency(rtt);
     setLastSeen(status === STATUS.CONNECTED);
-    updateChart(history || []);
+    if (!reviewCapture) {
+      renderChart(monitor);
+      renderStats(updateLiveStats(history || []));
+    }
     if (status === STATUS.DISCONNECTED) {
       setAllIPsToDash();
       showDiagnostics(true);
       if (diagnosticsBreakdown) diagnosticsBreakdown.textContent = 'No connection.';
       renderTips(DEFAULT_DISCONNECTED_TIPS);
+    } else if (status === STATUS.INTERCEPTED) {
+      showDiagnostics(true);
+      if (diagnosticsBreakdown) diagnosticsBreakdown.textContent = detail || 'Responses are being intercepted.';
+      renderTips(CAPTIVE_PORTAL_TIPS);
     } else if (status === STATUS.CONNECTED) {
       showDiagnostics(false);
-      refreshDashboardIPs();
+      if (changed || Date.now() - lastIdentityRefreshAt > IDENTITY_REFRESH_MS) refreshDashboardIPs(monitor);
     }
   });
 
+  // A new network likely means a new identity: check it on the next connected cycle.
+  const identityDue = () => (lastIdentityRefreshAt = 0);
+  window.addEventListener('online', identityDue);
+  if (navigator.connection && typeof navigator.connection.addEventListener === 'function') {
+    navigator.connection.addEventListener('change', identityDue);
+  }
+
+  monitor.on('latencyUpdate', ({ schedule }) => {
+    if (schedule) scheduledDelayMs = schedule.delay;
+  });
+  monitor.on('scheduleUpdate', ({ delay }) => {
+    scheduledDelayMs = delay;
+  });
+
+  monitor.on('endpointUpdate', (endpoints) => {
+    if (!reviewCapture) updateEndpointSeries(monitor.getProbeMode() === PROBE_MODE.PARALLEL ? endpoints : []);
+  });
+
+  const tabRole = document.getElementById('tab-role');
+  monitor.on('roleChange', () => {
+    if (tabRole) tabRole.classList.toggle('hidden', monitor.isLeader());
+  });
+
   monitor.on('outageDetected', () => {
     lastMonitorUpdateAt = Date.now();
     runAndShowDiagnostics();
   });
 
+  // The monitor worker went quiet: replace it rather than reloading the page.
   setInterval(() => {
-    if (lastMonitorUpdateAt > 0 && Date.now() - lastMonitorUpdateAt > GRAPH_STALE_MS) {
-      window.location.reload();
+    if (lastMonitorUpdateAt > 0 && Date.now() - lastMonitorUpdateAt > staleAfterMs()) {
+      lastMonitorUpdateAt = Date.now();
+      monitor.restartMonitor();
     }
   }, GRAPH_WATCHDOG_INTERVAL_MS);
 }
 
+function formatOffset(ms) {
+  const abs = Math.abs(ms);
+  const size = abs < 1000 ? `${abs} ms` : `${(abs / 1000).toFixed(abs < 10000 ? 1 : 0)} s`;
+  return ms === 0 ? '0 ms' : `${size} ${ms > 0 ? 'behind' : 'ahead'}`;
+}
+
+function renderClockOffset({ sync, error }) {
+  if (!dashboardClockOffset) return;
+  if (!sync) {
+    dashboardClockOffset.textContent = error ? 'Unknown (time sync failed)' : '—';
+    return;
+  }
+  const off = Math.abs(sync.offsetMs) > CLOCK_WARN_OFFSET_MS;
+  dashboardClockOffset.textContent =
+    `${formatOffset(sync.offsetMs)} ±${sync.accuracyMs} ms` + (off ? ' — set the clock to update automatically' : '');
+  dashboardClockOffset.classList.toggle('clock-off', off);
+  const drift = sync.driftMsPerHour != null ? `; drift ${sync.driftMsPerHour > 0 ? '+' : ''}${sync.driftMsPerHour} ms/h` : '';
+  dashboardClockOffset.title =
+    `Measured against ${sync.source} (${sync.samples} samples) at ${new Date(sync.time).toLocaleTimeString()}${drift}` +
+    (error ? `. Last resync failed: ${error}` : '');
+}
+
 async function initDashboard() {
-  await syncTimeFromInternet();
+  // The clock starts on system time and switches to network time once the first sync lands.
+  onTimeSync(renderClockOffset);
+  startTimeSync();
   startClock(dashboardTime);
   const tz = getTimezoneString();
   if (dashboardTime && tz) dashboardTime.setAttribute('title', 'Timezone: ' + tz);
@@ -174,9 +501,864 @@ async function initDashboard() {
   const { localLANIP } = await getLocalEthernetAndWifiIPs();
   if (dashboardLocalLanIP) dashboardLocalLanIP.textContent = localLANIP || '—';
 
-  const info = await getPublicIPAndInfo();
-  if (dashboardPublicIP) dashboardPublicIP.textContent = info.publicIP || '—';
-  if (dashboardDns1) dashboardDns1.textContent = info.dns1 || '—';
+  renderPublicInfo(await getPublicIPAndInfo());
+}
+
+function formatMs(value) {
+  return value != null ? `${value < 10 ? value.toFixed(1) : Math.round(value)} ms` : '—';
+}
+
+function renderStats(stats) {
+  if (!statsGrid) return;
+  const values = {
+    min: formatMs(stats.min),
+    avg: formatMs(stats.avg),
+    max: formatMs(stats.max),
+    p50: formatMs(stats.p50),
+    p95: formatMs(stats.p95),
+    p99: formatMs(stats.p99),
+    stdDev: formatMs(stats.stdDev),
+    jitter: formatMs(stats.jitter),
+    // Time-weighted like the other figures; the probe count is shown separately since bursts inflate it.
+    loss:
+      stats.lossPct != null
+        ? `${stats.lossPct.toFixed(1)}% of time (${formatDuration(stats.lostMs)} of ${formatDuration(stats.spanMs)}; ` +
+          `${stats.lost}/${stats.count} probes)`
+        : '—',
+  };
+  statsGrid.querySelectorAll('[data-stat]').forEach((el) => {
+    el.textContent = values[el.dataset.stat] ?? '—';
+  });
+}
+
+function renderReviewStats() {
+  renderStats(computeStats(samplesInWindow(reviewCapture.history, statsWindow.ms)));
+}
+
+function showReview(capture) {
+  reviewCapture = { ...capture, history: probesToHistory(capture.probes) };
+  if (reviewBannerText) {
+    reviewBannerText.textContent =
+      `Reviewing ${capture.name}: ${capture.probes.length} probes, ${capture.incidents.length} incidents`;
+  }
+  if (reviewBanner) reviewBanner.classList.remove('hidden');
+  resetZoom();
+  updateChart(reviewCapture.history, capture.annotations);
+  updateTimingChart(reviewCapture.history);
+  updateEndpointSeries([]);
+  renderIncidents(capture.incidents, capture.annotations);
+  renderReviewStats();
+}
+
+function exitReview(monitor) {
+  reviewCapture = null;
+  if (reviewBanner) reviewBanner.classList.add('hidden');
+  resetZoom();
+  renderChart(monitor);
+  updateEndpointSeries(monitor.getProbeMode() === PROBE_MODE.PARALLEL ? monitor.getEndpointSnapshot() : []);
+  renderIncidents(getIncidents(), monitor.getAnnotations());
+  renderStats(updateLiveStats(monitor.getLatencyHistory()));
+}
+
+/**
+ * Export buttons and import file picker. An imported file is shown in the
+ * chart and incident log until "Back to live" is clicked; live monitoring
+ * keeps running in the meantime.
+ */
+export function initDataControls(monitor) {
+  const exportFormat = document.getElementById('export-format');
+  const exportBtn = document.getElementById('export-btn');
+  const importInput = document.getElementById('import-file');
+  const reviewExitBtn = document.getElementById('review-exit-btn');
+  const statusEl = document.getElementById('transfer-status');
+  const say = (text, isError = false) => {
+    if (!statusEl) return;
+    statusEl.textContent = text;
+    statusEl.classList.toggle('error', isError);
+  };
+
+  if (exportBtn) {
+    exportBtn.addEventListener('click', async () => {
+      exportBtn.disabled = true;
+      say('');
+      try {
+        await downloadExport(exportFormat ? exportFormat.value : 'json');
+      } catch (e) {
+        say(`Export failed: ${e.message}`, true);
+      } finally {
+        exportBtn.disabled = false;
+      }
+    });
+  }
+
+  if (importInput) {
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files && importInput.files[0];
+      importInput.value = '';
+      if (!file) return;
+      say('');
+      try {
+        showReview(await importFile(file));
+      } catch (e) {
+        say(`Could not import ${file.name}: ${e.message}`, true);
+      }
+    });
+  }
+
+  if (reviewExitBtn) reviewExitBtn.addEventListener('click', () => exitReview(monitor));
+}
+
+const CHART_RANGE_KEY = 'conntivity-chart-range';
+
+function loadChartRangeSetting() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CHART_RANGE_KEY) || 'null');
+    if (saved && saved.key === 'custom' && saved.from < saved.to) return saved;
+    if (saved && CHART_RANGES.some((r) => r.ms && r.key === saved.key)) return { key: saved.key };
+  } catch (_) {
+    // fall back to the first preset
+  }
+  return { key: CHART_RANGES[0].key };
+}
+
+/** Time span of the selected chart range; `until` null follows live data. */
+function rangeBounds() {
+  if (chartRange.key === 'custom') return { since: chartRange.from, until: chartRange.to };
+  const preset = CHART_RANGES.find((r) => r.key === chartRange.key);
+  return { since: Date.now() - preset.ms, until: null };
+}
+
+/** Merge live history and annotations into the selected range, trim it and draw it. */
+function renderChart(monitor) {
+  if (reviewCapture) return;
+  const { since, until } = rangeBounds();
+  const end = until ?? Infinity;
+  const lastTime = rangeSamples.length ? rangeSamples[rangeSamples.length - 1].time : -Infinity;
+  monitor.getLatencyHistory().forEach((s) => {
+    if (s.time > lastTime && s.time <= end) rangeSamples.push(s);
+  });
+  const lastNote = rangeAnnotations.length ? rangeAnnotations[rangeAnnotations.length - 1].time : -Infinity;
+  monitor.getAnnotations().forEach((a) => {
+    if (a.time > lastNote && a.time <= end) rangeAnnotations.push(a);
+  });
+  let first = 0;
+  while (first < rangeSamples.length && rangeSamples[first].time < since) first++;
+  if (first) rangeSamples.splice(0, first); // in place: the chart keeps its buckets for this array
+  rangeAnnotations = rangeAnnotations.filter((a) => a.time >= since);
+  updateChart(rangeSamples, rangeAnnotations);
+  updateTimingChart(rangeSamples);
+}
+
+/** Load the selected range from storage (it may reach far beyond the live history) and redraw. */
+async function loadChartRange(monitor) {
+  const id = ++rangeLoadId;
+  const { since, until } = rangeBounds();
+  const [probes, annotations] = await Promise.all([
+    loadProbes({ since, until, cyclesOnly: true }),
+    loadAnnotations({ since, until }),
+  ]);
+  if (id !== rangeLoadId) return; // another range was selected meanwhile
+  rangeSamples = probesToHistory(probes);
+  rangeAnnotations = annotations.map(({ id: _id, ...a }) => a);
+  resetZoom();
+  renderChart(monitor);
+}
+
+function toLocalInputValue(ms) {
+  const d = new Date(ms - new Date(ms).getTimezoneOffset() * 60000);
+  return d.toISOString().slice(0, 16);
+}
+
+/**
+ * Chart range presets (5 min – 7 d, custom) and the Fit button.
+ */
+export function initChartRange(monitor) {
+  const select = document.getElementById('chart-range');
+  const custom = document.getElementById('chart-custom-range');
+  const fromInput = document.getElementById('chart-range-from');
+  const toInput = document.getElementById('chart-range-to');
+  document.getElementById('chart-fit-btn')?.addEventListener('click', resetZoom);
+  if (select) {
+    select.value = chartRange.key;
+    custom?.classList.toggle('hidden', chartRange.key !== 'custom');
+    const { since, until } = rangeBounds();
+    if (fromInput) fromInput.value = toLocalInputValue(since);
+    if (toInput) toInput.value = toLocalInputValue(until ?? Date.now());
+    select.addEventListener('change', () => {
+      custom?.classList.toggle('hidden', select.value !== 'custom');
+      if (select.value === 'custom') return; // applied with the Show button
+      chartRange = { key: select.value };
+      localStorage.setItem(CHART_RANGE_KEY, JSON.stringify(chartRange));
+      loadChartRange(monitor);
+    });
+    document.getElementById('chart-range-apply')?.addEventListener('click', () => {
+      const from = new Date(fromInput.value).getTime();
+      const to = new Date(toInput.value).getTime();
+      if (!(from < to)) return;
+      chartRange = { key: 'custom', from, to };
+      localStorage.setItem(CHART_RANGE_KEY, JSON.stringify(chartRange));
+      loadChartRange(monitor);
+    });
+  }
+  return loadChartRange(monitor);
+}
+
+const STATS_WINDOW_KEY = 'conntivity-stats-window';
+
+/**
+ * Stats window selector. Longer windows are loaded from storage first.
+ */
+export function initStats(monitor) {
+  const select = document.getElementById('stats-window');
+  const saved = STATS_WINDOWS.find((w) => w.key === localStorage.getItem(STATS_WINDOW_KEY));
+  if (saved) statsWindow = saved;
+
+  const apply = async () => {
+    await loadWindow(statsWindow.ms);
+    if (reviewCapture) renderReviewStats();
+    else renderStats(updateLiveStats(monitor.getLatencyHistory()));
+  };
+
+  if (select) {
+    select.value = statsWindow.key;
+    select.addEventListener('change', () => {
+      statsWindow = STATS_WINDOWS.find((w) => w.key === select.value) || STATS_WINDOWS[1];
+      localStorage.setItem(STATS_WINDOW_KEY, statsWindow.key);
+      apply();
+    });
+  }
+  return apply();
+}
+
+function labelled(text, input, className) {
+  const label = document.createElement('label');
+  if (className) label.className = className;
+  label.append(text, input);
+  return label;
+}
+
+function inputFor(field, type, value, attrs = {}) {
+  const input = document.createElement('input');
+  input.type = type;
+  input.dataset.field = field;
+  input.value = value;
+  Object.entries(attrs).forEach(([k, v]) => input.setAttribute(k, v));
+  return input;
+}
+
+function selectFor(field, options, value) {
+  const select = document.createElement('select');
+  select.dataset.field = field;
+  options.forEach(([optValue, text]) => {
+    const opt = document.createElement('option');
+    opt.value = optValue;
+    opt.textContent = text;
+    select.appendChild(opt);
+  });
+  select.value = value;
+  return select;
+}
+
+function renderTargetRow(target) {
+  const row = document.createElement('div');
+  row.className = 'target-row';
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'header-btn';
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', () => row.remove());
+  row.append(
+    labelled('Name', inputFor('name', 'text', target.name, { required: '' })),
+    labelled('Method', selectFor('method', METHODS.map((m) => [m, m]), target.method)),
+    labelled('Status from', inputFor('statusMin', 'number', target.statusMin, { min: 100, max: 599 })),
+    labelled('Status to', inputFor('statusMax', 'number', target.statusMax, { min: 100, max: 599 })),
+    labelled('Timeout (ms)', inputFor('timeoutMs', 'number', target.timeoutMs, { min: 100, step: 100 })),
+    labelled('URL', inputFor('url', 'url', target.url, { required: '' }), 'target-url'),
+    labelled(
+      'Assertion',
+      selectFor(
+        'assertionType',
+        [
+          [ASSERTION.NONE, 'None'],
+          [ASSERTION.KEYWORD, 'Body contains'],
+          [ASSERTION.JSON_PATH, 'JSON path'],
+        ],
+        target.assertion.type
+      )
+    ),
+    labelled(
+      'Expected format',
+      selectFor(
+        'shape',
+        [
+          [SHAPE.NONE, 'Any'],
+          [SHAPE.CLOUDFLARE_TRACE, 'Cloudflare trace'],
+          [SHAPE.IPIFY_JSON, 'ipify JSON'],
+          [SHAPE.HTTPBIN_JSON, 'httpbin JSON'],
+        ],
+        target.shape
+      )
+    ),
+    labelled('Keyword / path', inputFor('assertionValue', 'text', target.assertion.value, { placeholder: '$.status' })),
+    labelled('Expected value', inputFor('assertionExpected', 'text', target.assertion.expected, { placeholder: 'any' })),
+    remove
+  );
+  return row;
+}
+
+function readTargetRows(editor) {
+  return [...editor.querySelectorAll('.target-row')].map((row) => {
+    const field = (name) => row.querySelector(`[data-field="${name}"]`).value;
+    return {
+      name: field('name'),
+      url: field('url'),
+      method: field('method'),
+      statusMin: field('statusMin'),
+      statusMax: field('statusMax'),
+      timeoutMs: field('timeoutMs'),
+      shape: field('shape'),
+      assertion: { type: field('assertionType'), value: field('assertionValue'), expected: field('assertionExpected') },
+    };
+  });
+}
+
+function initTargetsEditor() {
+  const editor = document.getElementById('targets-editor');
+  const message = document.getElementById('targets-message');
+  if (!editor) return;
+  const render = (targets) => {
+    editor.innerHTML = '';
+    targets.forEach((t) => editor.appendChild(renderTargetRow(t)));
+  };
+  const say = (text, isError = false) => {
+    if (!message) return;
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+  };
+  render(getTargets());
+
+  document.getElementById('targets-add-btn')?.addEventListener('click', () => {
+    editor.appendChild(renderTargetRow({ ...DEFAULT_TARGETS[0], name: '', url: '', shape: SHAPE.NONE }));
+  });
+  document.getElementById('targets-reset-btn')?.addEventListener('click', () => {
+    render(resetTargets());
+    say('Targets reset to defaults.');
+  });
+  document.getElementById('targets-save-btn')?.addEventListener('click', () => {
+    try {
+      render(setTargets(readTargetRows(editor)));
+      say('Targets saved.');
+    } catch (e) {
+      say(e.message, true);
+    }
+  });
+}
+
+const SCHEDULE_NOTES = {
+  [SCHEDULE_REASON.FIXED]: 'fixed interval',
+  [SCHEDULE_REASON.BASE]: 'normal',
+  [SCHEDULE_REASON.CONFIRMING]: 'confirming a failure',
+  [SCHEDULE_REASON.RECOVERING]: 'confirming recovery',
+  [SCHEDULE_REASON.HIDDEN]: 'tab hidden',
+  [SCHEDULE_REASON.LOW_BATTERY]: 'low battery',
+  [SCHEDULE_REASON.BUDGET]: 'bandwidth budget',
+};
+
+function initScheduleSettings(monitor) {
+  const form = document.getElementById('settings-form');
+  const note = document.getElementById('schedule-note');
+  if (!form || !form.elements.scheduleAdaptive) return;
+  const el = form.elements;
+  const fill = (s) => {
+    el.scheduleAdaptive.checked = s.adaptive;
+    el.scheduleBudget.value = s.budgetMbPerHour;
+  };
+  fill(monitor.getSchedule());
+  const update = () => fill(monitor.setSchedule({ adaptive: el.scheduleAdaptive.checked, budgetMbPerHour: el.scheduleBudget.value }));
+  el.scheduleAdaptive.addEventListener('change', update);
+  el.scheduleBudget.addEventListener('change', update);
+  monitor.on('latencyUpdate', ({ schedule }) => {
+    if (!note || !schedule) return;
+    note.textContent = `Next probe in ${(schedule.delay / 1000).toFixed(1)} s (${SCHEDULE_NOTES[schedule.reason] || schedule.reason})`;
+  });
+}
+
+function initAlertSettings() {
+  const form = document.getElementById('settings-form');
+  const message = document.getElementById('alerts-message');
+  if (!form || !form.elements.alertNotifications) return;
+  const el = form.elements;
+  const say = (text, isError = false) => {
+    if (!message) return;
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+  };
+  const fill = (s) => {
+    el.alertNotifications.checked = s.notifications;
+    el.alertSound.checked = s.sound;
+    Object.values(ALERT_RULE).forEach((rule) => {
+      if (el[`alertRule-${rule}`]) el[`alertRule-${rule}`].checked = s.rules[rule];
+    });
+    el.alertMinOutageSec.value = s.minOutageSec;
+    el.alertQuietEnabled.checked = s.quietHours.enabled;
+    el.alertQuietStart.value = s.quietHours.start;
+    el.alertQuietEnd.value = s.quietHours.end;
+  };
+  fill(getAlertSettings());
+  if (!notificationsSupported()) {
+    el.alertNotifications.disabled = true;
+    say('Notifications are not supported in this browser.');
+  }
+
+  document.getElementById('alerts-fieldset')?.addEventListener('change', async (e) => {
+    const rules = {};
+    Object.values(ALERT_RULE).forEach((rule) => {
+      if (el[`alertRule-${rule}`]) rules[rule] = el[`alertRule-${rule}`].checked;
+    });
+    let notifications = el.alertNotifications.checked;
+    if (e.target === el.alertNotifications && notifications) {
+      const permission = await requestNotificationPermission();
+      notifications = permission === 'granted';
+      if (!notifications) say('Notification permission was not granted.', true);
+      else say('');
+    }
+    fill(
+      setAlertSettings({
+        notifications,
+        sound: el.alertSound.checked,
+        rules,
+        minOutageSec: el.alertMinOutageSec.value,
+        quietHours: { enabled: el.alertQuietEnabled.checked, start: el.alertQuietStart.value, end: el.alertQuietEnd.value },
+      })
+    );
+  });
+  document.getElementById('alerts-test-btn')?.addEventListener('click', () => {
+    const s = getAlertSettings();
+    if (!s.notifications && !s.sound) say('Turn on notifications or sound first.');
+    else testAlert();
+  });
+}
+
+function initWebhookSettings() {
+  const form = document.getElementById('settings-form');
+  const message = document.getElementById('webhook-message');
+  const queueEl = document.getElementById('webhook-queue');
+  if (!form || !form.elements.webhookUrl) return;
+  const el = form.elements;
+  const say = (text, isError = false) => {
+    if (!message) return;
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+  };
+  const fill = (s) => {
+    el.webhookEnabled.checked = s.enabled;
+    el.webhookFormat.value = s.format;
+    el.webhookUrl.value = s.url;
+    el.webhookHeaders.value = formatHeaders(s.headers);
+  };
+  const read = () => ({
+    enabled: el.webhookEnabled.checked,
+    format: el.webhookFormat.value,
+    url: el.webhookUrl.value,
+    headers: parseHeaders(el.webhookHeaders.value),
+  });
+  fill(getWebhookSettings());
+
+  document.getElementById('webhook-save-btn')?.addEventListener('click', () => {
+    try {
+      fill(setWebhookSettings(read()));
+      say('Webhook saved.');
+    } catch (e) {
+      say(e.message, true);
+    }
+  });
+  document.getElementById('webhook-test-btn')?.addEventListener('click', async () => {
+    try {
+      setWebhookSettings({ ...read(), enabled: getWebhookSettings().enabled });
+    } catch (e) {
+      say(e.message, true);
+      return;
+    }
+    say('Sending…');
+    const result = await sendTestEvent();
+    if (result.ok) say(`Delivered (HTTP ${result.status}).`);
+    else say(`Test failed: ${result.error}.`, true);
+  });
+  onWebhookQueueChange((count) => {
+    if (queueEl) queueEl.textContent = count ? `${count} event${count === 1 ? '' : 's'} waiting to be delivered` : '';
+  });
+}
+
+function initBandSettings() {
+  const form = document.getElementById('settings-form');
+  const message = document.getElementById('bands-message');
+  if (!form || !form.elements.bandGoodMs) return;
+  const el = form.elements;
+  const say = (text, isError = false) => {
+    if (!message) return;
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+  };
+  BAND_PRESETS.forEach((p) => el.bandPreset.add(new Option(p.name, p.id)));
+  const fill = (bands) => {
+    el.bandGoodMs.value = bands[0].maxMs;
+    el.bandFairMs.value = bands[1].maxMs;
+    el.bandPoorMs.value = bands[2].maxMs;
+    bands.forEach((b) => {
+      if (el[`bandColor-${b.id}`]) el[`bandColor-${b.id}`].value = b.color;
+    });
+    el.bandPreset.value = getActivePreset() || '';
+  };
+  fill(getLatencyBands());
+  // The degraded threshold can also change under Status thresholds.
+  onLatencyBandsChange(fill);
+
+  el.bandPreset.addEventListener('change', () => {
+    if (!el.bandPreset.value) return;
+    const name = el.bandPreset.selectedOptions[0].textContent;
+    applyBandPreset(el.bandPreset.value);
+    say(`${name} preset applied.`);
+  });
+  document.getElementById('bands-save-btn')?.addEventListener('click', () => {
+    const colors = {};
+    Object.values(LATENCY_BAND).forEach((band) => {
+      if (el[`bandColor-${band}`]) colors[band] = el[`bandColor-${band}`].value;
+    });
+    try {
+      setLatencyBands({ goodMs: el.bandGoodMs.value, fairMs: el.bandFairMs.value, poorMs: el.bandPoorMs.value, colors });
+      say('Latency bands saved.');
+    } catch (e) {
+      say(e.message, true);
+    }
+  });
+}
+
+function initThroughputSettings() {
+  const form = document.getElementById('settings-form');
+  const message = document.getElementById('throughput-message');
+  if (!form || !form.elements.throughputDownloadUrl) return;
+  const el = form.elements;
+  const say = (text, isError = false) => {
+    if (!message) return;
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+  };
+  const fill = (s) => {
+    el.throughputDownloadUrl.value = s.downloadUrl;
+    el.throughputUploadUrl.value = s.uploadUrl;
+    el.throughputStreams.value = s.streams;
+    el.throughputDownloadMb.value = s.downloadMb;
+    el.throughputUploadMb.value = s.uploadMb;
+    el.throughputDurationSec.value = s.durationSec;
+    el.throughputWarmupSec.value = s.warmupSec;
+  };
+  fill(getThroughputSettings());
+
+  document.getElementById('throughput-save-btn')?.addEventListener('click', () => {
+    try {
+      fill(
+        setThroughputSettings({
+          downloadUrl: el.throughputDownloadUrl.value,
+          uploadUrl: el.throughputUploadUrl.value,
+          streams: el.throughputStreams.value,
+          downloadMb: el.throughputDownloadMb.value,
+          uploadMb: el.throughputUploadMb.value,
+          durationSec: el.throughputDurationSec.value,
+          warmupSec: el.throughputWarmupSec.value,
+        })
+      );
+      say('Throughput settings saved.');
+    } catch (e) {
+      say(e.message, true);
+    }
+  });
+  document.getElementById('throughput-reset-btn')?.addEventListener('click', () => {
+    fill(resetThroughputSettings());
+    say('Defaults restored.');
+  });
+}
+
+function formatMbps(mbps) {
+  if (mbps == null) return '—';
+  return `${mbps >= 100 ? Math.round(mbps) : mbps.toFixed(1)} Mbps`;
+}
+
+async function renderThroughputHistory() {
+  const list = document.getElementById('throughput-history');
+  if (!list) return;
+  const results = await getThroughputHistory(5);
+  list.innerHTML = '';
+  results.forEach((r) => {
+    const li = document.createElement('li');
+    li.textContent = `${formatDateTime(r.time)}  ↓ ${formatMbps(r.downloadMbps)}  ↑ ${formatMbps(r.uploadMbps)}`;
+    list.appendChild(li);
+  });
+}
+
+function renderBufferbloat(result) {
+  const gradeEl = document.getElementById('bufferbloat-grade');
+  const detailEl = document.getElementById('bufferbloat-detail');
+  if (!gradeEl || !detailEl || !result) return;
+  gradeEl.textContent = result.grade;
+  gradeEl.dataset.grade = result.grade;
+  detailEl.textContent =
+    `idle ${result.idleMs} ms · ↓ +${result.download.increaseMs} ms · ↑ +${result.upload.increaseMs} ms`;
+}
+
+/** Latency-under-load button; a poor grade opens the diagnostics panel with its suggestions. */
+function initBufferbloatTest() {
+  const button = document.getElementById('bufferbloat-btn');
+  const throughputButton = document.getElementById('throughput-btn');
+  const statusEl = document.getElementById('throughput-status');
+  renderBufferbloat(getLastBufferbloat());
+  if (!button) return;
+  let running = false;
+  const PHASE_TEXT = {
+    idle: 'Measuring idle latency…',
+    [THROUGHPUT_PHASE.DOWNLOAD]: 'Measuring latency while downloading…',
+    [THROUGHPUT_PHASE.UPLOAD]: 'Measuring latency while uploading…',
+  };
+
+  button.addEventListener('click', async () => {
+    if (running) {
+      stopBufferbloatTest();
+      return;
+    }
+    if (isThroughputRunning()) return;
+    running = true;
+    button.textContent = 'Stop';
+    if (throughputButton) throughputButton.disabled = true;
+    try {
+      const result = await runBufferbloatTest((p) => {
+        statusEl.textContent = PHASE_TEXT[p.phase] + (p.mbps != null ? ` ${formatMbps(p.mbps)}` : '');
+      });
+      if (!result) {
+        statusEl.textContent = 'Stopped';
+      } else {
+        statusEl.textContent = 'Done';
+        renderBufferbloat(result);
+        if (result.suggestions.length) {
+          showDiagnostics(true);
+          if (diagnosticsBreakdown) {
+            diagnosticsBreakdown.textContent =
+              `Bufferbloat grade ${result.grade} — idle ${result.idleMs} ms, ` +
+              `downloading ${result.download.loadedMs} ms, uploading ${result.upload.loadedMs} ms`;
+          }
+          renderTips(result.suggestions);
+        }
+      }
+    } catch (e) {
+      statusEl.textContent = e.message;
+    }
+    running = false;
+    button.textContent = 'Latency under load';
+    if (throughputButton) throughputButton.disabled = false;
+  });
+}
+
+const DNSSEC_LABELS = {
+  [DNSSEC_STATE.VALIDATING]: 'validates',
+  [DNSSEC_STATE.NOT_VALIDATING]: 'no',
+  [DNSSEC_STATE.UNKNOWN]: '—',
+};
+
+const NXDOMAIN_LABELS = {
+  [NXDOMAIN_STATE.OK]: 'ok',
+  [NXDOMAIN_STATE.REWRITTEN]: 'redirected',
+  [NXDOMAIN_STATE.UNKNOWN]: '—',
+};
+
+function formatLookup({ medianMs, p95Ms }) {
+  return medianMs == null ? '—' : `${medianMs} / ${p95Ms} ms`;
+}
+
+function renderDnsBenchmark(result) {
+  const table = document.getElementById('dns-benchmark-table');
+  const statusEl = document.getElementById('dns-benchmark-status');
+  if (!table || !result) return;
+  const tbody = table.querySelector('tbody');
+  tbody.innerHTML = '';
+  result.resolvers.forEach((r) => {
+    const tr = document.createElement('tr');
+    if (result.recommendation && r.id === result.recommendation.id) tr.className = 'dns-best';
+    const cells = [
+      [r.name, false],
+      [formatLookup(r.cached), false],
+      [formatLookup(r.uncached), false],
+      [`${Math.round(r.failureRate * 100)}%`, r.failureRate > 0],
+      [DNSSEC_LABELS[r.dnssec], r.dnssec === DNSSEC_STATE.NOT_VALIDATING],
+      [NXDOMAIN_LABELS[r.nxdomain], r.nxdomain === NXDOMAIN_STATE.REWRITTEN],
+    ];
+    cells.forEach(([text, warn]) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (warn) td.className = 'dns-warn';
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  table.classList.remove('hidden');
+  if (statusEl) {
+    statusEl.textContent =
+      `${formatDateTime(result.time)} — ` +
+      (result.recommendation ? `Recommended: ${result.recommendation.text}` : 'No resolver answered reliably.');
+  }
+}
+
+function initDnsBenchmark() {
+  const button = document.getElementById('dns-benchmark-btn');
+  const statusEl = document.getElementById('dns-benchmark-status');
+  renderDnsBenchmark(getLastDnsBenchmark());
+  if (!button) return;
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    try {
+      renderDnsBenchmark(await runDnsBenchmark((name) => (statusEl.textContent = `Testing ${name}…`)));
+    } catch (e) {
+      statusEl.textContent = e.message;
+    }
+    button.disabled = false;
+  });
+}
+
+function initLanSettings() {
+  const form = document.getElementById('settings-form');
+  const message = document.getElementById('lan-message');
+  if (!form || !form.elements.lanHosts) return;
+  const field = form.elements.lanHosts;
+  const say = (text, isError = false) => {
+    if (!message) return;
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+  };
+  field.value = getLanHosts().join('\n');
+  document.getElementById('lan-save-btn')?.addEventListener('click', () => {
+    try {
+      field.value = setLanHosts(field.value.split(/\r?\n/)).join('\n');
+      say('LAN hosts saved.');
+    } catch (e) {
+      say(e.message, true);
+    }
+  });
+}
+
+function initDnsSettings() {
+  const form = document.getElementById('settings-form');
+  const message = document.getElementById('dns-message');
+  if (!form || !form.elements.dnsCustomUrl) return;
+  const el = form.elements;
+  const say = (text, isError = false) => {
+    if (!message) return;
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+  };
+  const fill = (s) => {
+    PRESET_RESOLVERS.forEach((r) => {
+      if (el['dnsResolver-' + r.id]) el['dnsResolver-' + r.id].checked = s.enabled.includes(r.id);
+    });
+    el.dnsCustomUrl.value = s.customUrl;
+  };
+  fill(getResolverSettings());
+  document.getElementById('dns-save-btn')?.addEventListener('click', () => {
+    try {
+      fill(
+        setResolverSettings({
+          enabled: PRESET_RESOLVERS.filter((r) => el['dnsResolver-' + r.id]?.checked).map((r) => r.id),
+          customUrl: el.dnsCustomUrl.value,
+        })
+      );
+      say('Resolvers saved.');
+    } catch (e) {
+      say(e.message, true);
+    }
+  });
+}
+
+/** Throughput card: run / stop button, live Mbps, graph and recent results. */
+function initThroughputTest() {
+  const button = document.getElementById('throughput-btn');
+  const downloadEl = document.getElementById('throughput-download');
+  const uploadEl = document.getElementById('throughput-upload');
+  const statusEl = document.getElementById('throughput-status');
+  initThroughputChart(document.getElementById('throughput-chart'));
+  if (!button) return;
+  renderThroughputHistory();
+
+  const bufferbloatButton = document.getElementById('bufferbloat-btn');
+  button.addEventListener('click', async () => {
+    if (isThroughputRunning()) {
+      stopThroughputTest();
+      return;
+    }
+    if (bufferbloatButton) bufferbloatButton.disabled = true;
+    const samples = { [THROUGHPUT_PHASE.DOWNLOAD]: [], [THROUGHPUT_PHASE.UPLOAD]: [] };
+    const valueEl = { [THROUGHPUT_PHASE.DOWNLOAD]: downloadEl, [THROUGHPUT_PHASE.UPLOAD]: uploadEl };
+    downloadEl.textContent = '—';
+    uploadEl.textContent = '—';
+    updateThroughputChart([], []);
+    button.textContent = 'Stop';
+    try {
+      const result = await runThroughputTest((p) => {
+        if (p.done) {
+          valueEl[p.phase].textContent = formatMbps(p.mbps);
+          return;
+        }
+        samples[p.phase].push(p);
+        valueEl[p.phase].textContent = formatMbps(p.mbps);
+        const doing = p.phase === THROUGHPUT_PHASE.DOWNLOAD ? 'Downloading' : 'Uploading';
+        statusEl.textContent = `${doing}${p.warmup ? ' (warm-up)' : ''}…`;
+        updateThroughputChart(samples[THROUGHPUT_PHASE.DOWNLOAD], samples[THROUGHPUT_PHASE.UPLOAD]);
+      });
+      if (result.error) statusEl.textContent = result.error;
+      else statusEl.textContent = result.aborted ? 'Stopped' : 'Done';
+    } catch (e) {
+      statusEl.textContent = e.message;
+    } finally {
+      button.textContent = 'Run test';
+      if (bufferbloatButton) bufferbloatButton.disabled = false;
+    }
+    renderThroughputHistory();
+  });
+}
+
+/**
+ * Settings panel: probe mode, probe targets, status thresholds, latency bands, LAN hosts, alerts, webhook, throughput
+ * test and DNS benchmark. Threshold inputs are named after the threshold keys.
+ */
+export function initSettings(monitor) {
+  const probeModeSelect = document.getElementById('probe-mode-select');
+  if (probeModeSelect) {
+    probeModeSelect.value = monitor.getProbeMode();
+    probeModeSelect.addEventListener('change', () => monitor.setProbeMode(probeModeSelect.value));
+  }
+
+  initScheduleSettings(monitor);
+  initTargetsEditor();
+  initBandSettings();
+  initLanSettings();
+  initAlertSettings();
+  initWebhookSettings();
+  initThroughputSettings();
+  initDnsSettings();
+
+  const form = document.getElementById('settings-form');
+  if (!form) return;
+  const fill = (values) => {
+    Object.entries(values).forEach(([key, value]) => {
+      if (form.elements[key]) form.elements[key].value = value;
+    });
+  };
+  fill(getThresholds());
+  onThresholdsChange(fill); // e.g. a latency band preset moved the degraded threshold
+  form.addEventListener('change', (e) => {
+    if (!(e.target.name in getThresholds())) return; // other fieldsets save with their own buttons
+    const values = {};
+    Object.keys(getThresholds()).forEach((key) => {
+      if (form.elements[key]) values[key] = form.elements[key].value;
+    });
+    fill(setThresholds(values));
+  });
+  form.addEventListener('submit', (e) => e.preventDefault());
 }
 
 const THEME_KEY = 'conntivity-theme';
@@ -185,6 +1367,7 @@ const INTERVAL_KEY = 'conntivity-interval';
 export function initUI() {
   const container = document.getElementById('chart-container');
   if (container) initChart(container);
+  initTimingChart(document.getElementById('timing-chart'), document.getElementById('timing-legend'));
 
   window.addEventListener('resize', resizeChart);
 
@@ -192,13 +1375,18 @@ export function initUI() {
   setStatusText(STATUS.UNKNOWN);
   setLatency(null);
   setLastSeen(false);
+  renderIncidents([]);
 
+  initThroughputTest();
+  initBufferbloatTest();
+  initDnsBenchmark();
   initDashboard();
 }
 
 export function initHeaderControls(monitor) {
   const themeToggle = document.getElementById('theme-toggle');
   const intervalSelect = document.getElementById('interval-select');
+  const retentionSelect = document.getElementById('retention-select');
   const refreshBtn = document.getElementById('refresh-btn');
 
   if (refreshBtn) {
@@ -217,16 +1405,22 @@ export function initHeaderControls(monitor) {
     });
   }
 
+  if (retentionSelect) {
+    retentionSelect.value = String(getRetentionDays());
+    retentionSelect.addEventListener('change', () => setRetentionDays(retentionSelect.value));
+  }
+
   const savedInterval = localStorage.getItem(INTERVAL_KEY) || '1';
   if (intervalSelect) {
     intervalSelect.value = savedInterval;
     intervalSelect.addEventListener('change', () => {
       const sec = Number(intervalSelect.value);
       localStorage.setItem(INTERVAL_KEY, String(sec));
-      monitor.startMonitoring(sec * 1000);
+      probeIntervalMs = sec * 1000;
+      scheduledDelayMs = null; // the loop restarts on the new interval
+      monitor.startMonitoring(probeIntervalMs);
     });
-    monitor.startMonitoring(Number(savedInterval) * 1000);
-  } else {
-    monitor.startMonitoring(5000);
+    probeIntervalMs = Number(savedInterval) * 1000;
   }
+  monitor.startMonitoring(probeIntervalMs);
 }
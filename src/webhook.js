@@ -0,0 +1,339 @@
+/**
+ * Webhook alerting: POSTs outage-start and outage-end events to a configurable
+ * URL as Slack-compatible or generic JSON, with custom headers. Events are
+ * queued durably (IndexedDB via storage.js) because the network is down when an
+ * outage starts, and delivered with their original timestamps once the monitor
+ * reports connected again, retrying with exponential backoff.
+ */
+
+import { STATUS } from './monitor.js';
+import { queueWebhookEvent, updateWebhookEvent, deleteWebhookEvent, loadWebhookQueue } from './storage.js';
+
+const WEBHOOK_KEY = 'conntivity-webhook';
+const OUTAGE_KEY = 'conntivity-webhook-outage'; // open outage, so a reload or new leader tab does not report it twice
+const REQUEST_TIMEOUT_MS = 10000;
+const BACKOFF_BASE_MS = 5000;
+const BACKOFF_MAX_MS = 15 * 60 * 1000;
+const LATE_DELIVERY_MS = 60 * 1000; // Slack text notes when an event is delivered this much after it happened
+
+export const WEBHOOK_FORMAT = {
+  SLACK: 'slack',
+  GENERIC: 'generic',
+};
+
+export const WEBHOOK_EVENT = {
+  OUTAGE_START: 'outage-start',
+  OUTAGE_END: 'outage-end',
+};
+
+const DOWN_STATUSES = [STATUS.DISCONNECTED, STATUS.INTERCEPTED];
+
+let settings = loadSettings();
+let outage = loadOutage(); // { start, status } of the outage being reported
+let connected = false;
+let flushing = false;
+let queuedCount = 0; // undelivered events as of the last read, so connected cycles skip the store when empty
+let retryTimer = null; // flushes again when the oldest undelivered event's backoff ends
+let memoryQueue = []; // fallback when IndexedDB is unavailable
+let memoryId = 0;
+const listeners = [];
+
+function loadSettings() {
+  try {
+    return sanitizeSettings(JSON.parse(localStorage.getItem(WEBHOOK_KEY) || 'null') || {});
+  } catch (_) {
+    return sanitizeSettings({});
+  }
+}
+
+function sanitizeSettings(s) {
+  return {
+    enabled: Boolean(s.enabled),
+    url: String(s.url || '').trim(),
+    format: Object.values(WEBHOOK_FORMAT).includes(s.format) ? s.format : WEBHOOK_FORMAT.GENERIC,
+    headers: Array.isArray(s.headers)
+      ? s.headers.filter((h) => Array.isArray(h) && h[0]).map(([name, value]) => [String(name), String(value ?? '')])
+      : [],
+  };
+}
+
+function loadOutage() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(OUTAGE_KEY) || 'null');
+    return saved && Number.isFinite(saved.start) ? { start: saved.start, status: saved.status } : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function saveOutage(next) {
+  outage = next;
+  try {
+    if (outage) localStorage.setItem(OUTAGE_KEY, JSON.stringify(outage));
+    else localStorage.removeItem(OUTAGE_KEY);
+  } catch (_) {
+    // storage full or disabled: the outage is still paired within this session
+  }
+}
+
+export function getWebhookSettings() {
+  return { ...settings, headers: settings.headers.map((h) => [...h]) };
+}
+
+/**
+ * Update and persist webhook settings. Throws when enabling with an invalid URL.
+ */
+export function setWebhookSettings(partial) {
+  const next = sanitizeSettings({ ...settings, ...partial });
+  if (next.enabled) {
+    let u;
+    try {
+      u = new URL(next.url);
+    } catch (_) {
+      throw new Error('Webhook URL is not valid.');
+    }
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') throw new Error('Webhook URL must be http or https.');
+  }
+  settings = next;
+  localStorage.setItem(WEBHOOK_KEY, JSON.stringify(settings));
+  if (connected) flushQueue();
+  return getWebhookSettings();
+}
+
+/** Parse `Name: value` lines into header pairs; blank and malformed lines are skipped. */
+export function parseHeaders(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map((line) => line.match(/^\s*([!#$%&'*+.^_`|~0-9A-Za-z-]+)\s*:\s*(.*?)\s*$/))
+    .filter(Boolean)
+    .map((m) => [m[1], m[2]]);
+}
+
+export function formatHeaders(headers) {
+  return headers.map(([name, value]) => `${name}: ${value}`).join('\n');
+}
+
+function formatDuration(ms) {
+  const sec = Math.round(ms / 1000);
+  if (sec < 60) return `${sec}s`;
+  const min = Math.floor(sec / 60);
+  if (min < 60) return `${min}m ${sec % 60}s`;
+  return `${Math.floor(min / 60)}h ${min % 60}m`;
+}
+
+function slackPayload(event, deliveredAt) {
+  const when = new Date(event.time).toISOString();
+  const late = deliveredAt - event.time > LATE_DELIVERY_MS ? ` _(delivered ${formatDuration(deliveredAt - event.time)} late)_` : '';
+  if (event.type === WEBHOOK_EVENT.OUTAGE_START) {
+    const what = event.status === STATUS.INTERCEPTED ? 'Connection intercepted (captive portal?)' : 'Connection lost';
+    const failed = event.failedEndpoints.length ? `\nFailed: ${event.failedEndpoints.join(', ')}` : '';
+    return { text: `:red_circle: *${what}* at ${when}${event.detail ? ` — ${event.detail}` : ''}${failed}${late}` };
+  }
+  const since = event.outageStart != null ? ` after ${formatDuration(event.time - event.outageStart)}` : '';
+  return { text: `:large_green_circle: *Connection restored* at ${when}${since}${late}` };
+}
+
+function genericPayload(event, deliveredAt) {
+  return {
+    source: 'conntivity',
+    event: event.type,
+    time: event.time,
+    timeIso: new Date(event.time).toISOString(),
+    status: event.status,
+    reason: event.reason,
+    detail: event.detail,
+    failedEndpoints: event.failedEndpoints,
+    outageStart: event.outageStart,
+    durationMs: event.outageStart != null && event.type === WEBHOOK_EVENT.OUTAGE_END ? event.time - event.outageStart : null,
+    deliveredAt,
+    attempts: event.attempts + 1,
+  };
+}
+
+/** Build the request body for an event in the given format. */
+export function buildPayload(event, format = settings.format, deliveredAt = Date.now()) {
+  return format === WEBHOOK_FORMAT.SLACK ? slackPayload(event, deliveredAt) : genericPayload(event, deliveredAt);
+}
+
+/**
+ * POST one event. Resolves to `{ ok, status, error }`.
+ */
+async function deliver(event) {
+  const headers = { 'Content-Type': 'application/json' };
+  settings.headers.forEach(([name, value]) => {
+    headers[name] = value;
+  });
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const res = await fetch(settings.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(buildPayload(event)),
+      signal: controller.signal,
+      cache: 'no-store',
+    });
+    return { ok: res.ok, status: res.status, error: res.ok ? null : `HTTP ${res.status}` };
+  } catch (e) {
+    return { ok: false, status: null, error: e.name === 'AbortError' ? 'timeout' : 'network error' };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function backoff(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+async function readQueue() {
+  const stored = await loadWebhookQueue();
+  return [...stored, ...memoryQueue].sort((a, b) => a.time - b.time);
+}
+
+async function notify() {
+  const queue = await readQueue();
+  queuedCount = queue.length;
+  listeners.forEach((fn) => fn(queue.length));
+}
+
+async function enqueue(event) {
+  const record = { ...event, attempts: 0, nextAttemptAt: 0 };
+  const id = await queueWebhookEvent(record);
+  if (id == null) memoryQueue.push({ ...record, id: `memory-${++memoryId}` });
+  queuedCount++;
+  notify();
+  if (connected) flushQueue();
+}
+
+async function saveAttempt(event) {
+  if (String(event.id).startsWith('memory-')) return;
+  await updateWebhookEvent(event);
+}
+
+async function removeDelivered(event) {
+  if (String(event.id).startsWith('memory-')) memoryQueue = memoryQueue.filter((e) => e.id !== event.id);
+  else await deleteWebhookEvent(event.id);
+}
+
+function scheduleRetry(at) {
+  clearTimeout(retryTimer);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    if (connected) flushQueue();
+  }, Math.max(0, at - Date.now()));
+}
+
+/**
+ * Deliver queued events oldest first. Stops at the first failure so order is
+ * kept; that event is retried by a timer once its backoff ends.
+ */
+export async function flushQueue() {
+  if (flushing || !settings.enabled || !settings.url) return;
+  flushing = true;
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  let queue = [];
+  let retryAt = null;
+  try {
+    queue = await readQueue();
+    for (const event of queue) {
+      if (event.nextAttemptAt > Date.now()) {
+        retryAt = event.nextAttemptAt;
+        break;
+      }
+      const result = await deliver(event);
+      if (!result.ok) {
+        event.attempts++;
+        event.nextAttemptAt = Date.now() + backoff(event.attempts);
+        event.lastError = result.error;
+        await saveAttempt(event);
+        retryAt = event.nextAttemptAt;
+        break;
+      }
+      await removeDelivered(event);
+    }
+  } finally {
+    flushing = false;
+    if (retryAt != null) scheduleRetry(retryAt);
+    if (queue.length) notify();
+  }
+}
+
+/**
+ * Send a one-off test event straight away (not queued).
+ * @returns {Promise<{ ok: boolean, status: number|null, error: string|null }>}
+ */
+export function sendTestEvent() {
+  if (!settings.url) return Promise.resolve({ ok: false, status: null, error: 'No webhook URL set' });
+  const now = Date.now();
+  return deliver({
+    type: WEBHOOK_EVENT.OUTAGE_START,
+    time: now,
+    status: STATUS.DISCONNECTED,
+    reason: null,
+    detail: 'Test event from Conntivity settings',
+    failedEndpoints: [],
+    outageStart: now,
+    attempts: 0,
+  });
+}
+
+/**
+ * Feed a monitor `statusChange` event. Queues outage start / end and flushes the
+ * queue while connected.
+ */
+export function handleStatusChange({ status, changed, reason, detail, failedEndpoints }) {
+  if (status === STATUS.UNKNOWN) return;
+  const now = Date.now();
+  if (DOWN_STATUSES.includes(status) && !outage) {
+    saveOutage({ start: now, status });
+    if (settings.enabled) {
+      enqueue({
+        type: WEBHOOK_EVENT.OUTAGE_START,
+        time: now,
+        status,
+        reason: reason || null,
+        detail: detail || null,
+        failedEndpoints: [...(failedEndpoints || [])],
+        outageStart: now,
+      });
+    }
+  } else if (status === STATUS.CONNECTED && changed && outage) {
+    if (settings.enabled) {
+      enqueue({
+        type: WEBHOOK_EVENT.OUTAGE_END,
+        time: now,
+        status,
+        reason: reason || null,
+        detail: detail || null,
+        failedEndpoints: [],
+        outageStart: outage.start,
+      });
+    }
+    saveOutage(null);
+  }
+  connected = status === STATUS.CONNECTED;
+  // While a retry is pending its timer flushes; otherwise only look when something is queued.
+  if (connected && queuedCount && !retryTimer) flushQueue();
+}
+
+/** Called with the number of undelivered events whenever the queue changes. */
+export function onWebhookQueueChange(fn) {
+  listeners.push(fn);
+}
+
+/** Only the leader tab queues and delivers, so events are not sent once per tab. */
+export function bindWebhook(monitor) {
+  let leading = false;
+  monitor.on('statusChange', (e) => {
+    const leader = monitor.isLeader();
+    if (leader && !leading) {
+      // Taking over from another tab: pick up its open outage and queue.
+      outage = loadOutage();
+      notify();
+    }
+    leading = leader;
+    if (leader) handleStatusChange(e);
+  });
+  notify();
+}
@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_TARGETS, checkResponse } from '../src/targets.js';
+import { REASON } from '../src/status.js';
+
+const httpbin = DEFAULT_TARGETS.find((t) => t.name === 'httpbin');
+
+function response(status, body) {
+  return { status, type: 'basic', redirected: false, url: httpbin.url, text: async () => body };
+}
+
+test('an HTML error page outside the status range is an HTTP failure, not an interception', async () => {
+  const result = await checkResponse(httpbin, response(502, '<!DOCTYPE html><html><body>Bad Gateway</body></html>'));
+  assert.equal(result.ok, false);
+  assert.equal(result.error, REASON.HTTP_STATUS);
+  assert.equal(result.detail, 'HTTP 502 (expected 200–299)');
+});
+
+test('an HTML page with an accepted status is an interception', async () => {
+  const result = await checkResponse(httpbin, response(200, '<html><body>Log in to continue</body></html>'));
+  assert.equal(result.error, REASON.INTERCEPTED);
+});
+
+test('the expected body passes', async () => {
+  const result = await checkResponse(httpbin, response(200, JSON.stringify({ url: httpbin.url, headers: {} })));
+  assert.deepEqual(result, { ok: true, status: 200, error: null, detail: null });
+});
@@ -1,4 +1,8 @@
 import { defineConfig } from 'vite';
+import { readFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+
+const PUBLIC_PRECACHE = ['/manifest.webmanifest', '/icon.svg', '/icon-192.png', '/icon-512.png'];
 
 function getBuildTimestamp() {
   const d = new Date();
@@ -23,9 +27,30 @@ function getBuildTimestamp() {
   return `${year}-${month}-${day} ${hour}:${minute} ${tz}`;
 }
 
+/** Emit sw.js from src/sw.js with every built file in its precache list. */
+function serviceWorker() {
+  return {
+    name: 'conntivity-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const built = Object.keys(bundle)
+        .filter((f) => f !== 'index.html' && !f.endsWith('.map'))
+        .map((f) => '/' + f);
+      const files = ['/', ...built.sort(), ...PUBLIC_PRECACHE];
+      const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12);
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+        .replace('self.__PRECACHE_FILES__', JSON.stringify(files))
+        .replace('__CACHE_VERSION__', version);
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    },
+  };
+}
+
 export default defineConfig({
   root: '.',
   publicDir: 'public',
+  plugins: [serviceWorker()],
   define: {
     __BUILD_TIMESTAMP__: JSON.stringify(getBuildTimestamp()),
   },